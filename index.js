@@ -1,18 +1,135 @@
 'use strict';
 
-import { eventSource, event_types, chat } from '../../../../script.js';
-import { getContext } from '../../../extensions.js';
-import { promptManager, oai_settings } from '../../../openai.js';
+import { eventSource, event_types } from '../../../../script.js';
+import { getContext, extension_settings } from '../../../extensions.js';
+import { promptManager, oai_settings, getChatCompletionModel } from '../../../openai.js';
+import { ChatCompletionService } from '../../../custom-request.js';
 import { Popup, POPUP_TYPE, POPUP_RESULT } from '../../../popup.js';
 import { getPresetManager } from '../../../preset-manager.js';
+import { download, getFileText, uuidv4 } from '../../../utils.js';
+import { getTokenCountAsync, getTokenizerModel } from '../../../tokenizers.js';
+import { getWorldInfoPrompt } from '../../../world-info.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
 
 const EXTENSION_NAME = 'ab-test';
 const DB_NAME = 'ABTestSnapshots';
-const DB_VERSION = 1;
+const DB_VERSION = 7;
 const STORE_NAME = 'snapshots';
+const VOTES_STORE_NAME = 'votes';
+const RUNS_STORE_NAME = 'runs';
+const SUITES_STORE_NAME = 'suites';
+const JOURNAL_STORE_NAME = 'journal';
+const SUITE_MESSAGE_SEPARATOR = '---';
+const MAX_SAMPLES = 10;
+const BLIND_LABELS = ['Left', 'Right'];
+const EXPORT_FORMAT = 'ab-test-snapshots';
+const EXPORT_VERSION = 1;
+const MAX_RESTORE_HISTORY = 10;
+const DIFF_MAX_EDIT_DISTANCE = 2000;
+const DIFF_CONTEXT_LINES = 3;
+const DIFF_COLLAPSE_MIN_LINES = 4;
+const REPETITION_PHRASE_WORDS = 5;
+const ELO_INITIAL_RATING = 1000;
+const ELO_K_FACTOR = 32;
+const CONFIDENCE_Z = 1.96;
+const DEFAULT_ORDER_ID = 100000;
+const ALL_ORDERS_SCOPE = 'all';
+const ORDER_VIEW_ROW_HEIGHT = 28;
+const ORDER_VIEW_GUTTER_WIDTH = 80;
+
+const SNAPSHOT_INDEXES = [
+    { name: 'tags', keyPath: 'tags', options: { multiEntry: true } },
+];
+
+const SNAPSHOT_SORTS = {
+    date_desc: { label: 'Newest first', compare: (a, b) => b.timestamp - a.timestamp },
+    date_asc: { label: 'Oldest first', compare: (a, b) => a.timestamp - b.timestamp },
+    name: { label: 'Name', compare: (a, b) => a.name.localeCompare(b.name) },
+    preset: { label: 'Preset', compare: (a, b) => (a.presetName || '').localeCompare(b.presetName || '') || b.timestamp - a.timestamp },
+};
+const DEFAULT_JUDGE_RUBRIC = 'Compare the two responses to the latest message in the conversation. Prefer the response that stays in character, follows the instructions, does not speak or act for the user, and reads naturally without repetition.';
+
+const DEFAULT_SETTINGS = {
+    checks: [],
+    judgeEnabled: false,
+    judgeRubric: DEFAULT_JUDGE_RUBRIC,
+    slotTimeoutSeconds: 0,
+    parallelMode: false,
+    autoSnapshotEnabled: false,
+    autoSnapshotRetention: 20,
+};
+
+const SNAPSHOT_SOURCE_FILTERS = {
+    '': 'All snapshots',
+    manual: 'Manual only',
+    auto: 'Auto only',
+};
+const AUTO_SNAPSHOT_DEBOUNCE_MS = 2000;
+const SETTINGS_UPDATE_IGNORE_MS = 3000;
+const SETTINGS_SAVE_URL = '/api/settings/save';
+const CHAT_SAVE_URLS = ['/api/chats/save', '/api/chats/group/save'];
+
+const CHECK_TYPES = {
+    regex_match: { label: 'Must match regex', placeholder: '/\\*[^*]+\\*/' },
+    regex_not_match: { label: 'Must not match regex', placeholder: '/\\byou (say|said|feel)\\b/i' },
+    min_length: { label: 'Min length (chars)', placeholder: '200' },
+    max_length: { label: 'Max length (chars)', placeholder: '2000' },
+    forbidden_words: { label: 'Forbidden words', placeholder: 'shivers down, ministrations, testament to' },
+    repetition: { label: 'Max repeats of a phrase', placeholder: '2' },
+};
+
+const GENERATION_SETTINGS = [
+    { key: 'temp_openai', presetKey: 'temperature', label: 'Temperature', selector: '#temp_openai' },
+    { key: 'top_p_openai', presetKey: 'top_p', label: 'Top P', selector: '#top_p_openai' },
+    { key: 'top_k_openai', presetKey: 'top_k', label: 'Top K', selector: '#top_k_openai' },
+    { key: 'top_a_openai', presetKey: 'top_a', label: 'Top A', selector: '#top_a_openai' },
+    { key: 'min_p_openai', presetKey: 'min_p', label: 'Min P', selector: '#min_p_openai' },
+    { key: 'freq_pen_openai', presetKey: 'frequency_penalty', label: 'Frequency Penalty', selector: '#freq_pen_openai' },
+    { key: 'pres_pen_openai', presetKey: 'presence_penalty', label: 'Presence Penalty', selector: '#pres_pen_openai' },
+    { key: 'repetition_penalty_openai', presetKey: 'repetition_penalty', label: 'Repetition Penalty', selector: '#repetition_penalty_openai' },
+    { key: 'openai_max_context', presetKey: 'openai_max_context', label: 'Context Size', selector: '#openai_max_context' },
+    { key: 'openai_max_tokens', presetKey: 'openai_max_tokens', label: 'Max Response Tokens', selector: '#openai_max_tokens' },
+    { key: 'seed', presetKey: 'seed', label: 'Seed', selector: '#seed_openai' },
+    { key: 'n', presetKey: 'n', label: 'Candidates (n)', selector: '#n_openai' },
+    { key: 'reasoning_effort', presetKey: 'reasoning_effort', label: 'Reasoning Effort', selector: '#openai_reasoning_effort' },
+    { key: 'squash_system_messages', presetKey: 'squash_system_messages', label: 'Squash System Messages', selector: '#squash_system_messages' },
+];
 
 let db = null;
 let currentSnapshots = [];
+let currentRuns = [];
+let currentSuites = [];
+let tokenCountCache = new Map();
+let tokenCountModel = null;
+let activeRunController = null;
+let promptStateQueue = Promise.resolve();
+let promptStateActive = false;
+let orderScope = null;
+let orderScopeActiveId = null;
+let snapshotFilter = { query: '', tag: '', source: '', sort: 'date_desc' };
+let snapshotTags = [];
+let liveParentId = null;
+let autoSnapshotTimer = null;
+let autoSnapshotQueue = Promise.resolve();
+let ignoreSettingsUpdateUntil = 0;
+let restoreUndoStack = [];
+let restoreRedoStack = [];
+
+function getSettings() {
+    if (!extension_settings[EXTENSION_NAME]) {
+        extension_settings[EXTENSION_NAME] = {};
+    }
+    
+    const settings = extension_settings[EXTENSION_NAME];
+    for (const [key, value] of Object.entries(DEFAULT_SETTINGS)) {
+        if (settings[key] === undefined) {
+            settings[key] = structuredClone(value);
+        }
+    }
+    return settings;
+}
 
 async function initDB() {
     return new Promise((resolve, reject) => {
@@ -26,8 +143,30 @@ async function initDB() {
         
         request.onupgradeneeded = (event) => {
             const database = event.target.result;
-            if (!database.objectStoreNames.contains(STORE_NAME)) {
-                database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            const snapshotsStore = database.objectStoreNames.contains(STORE_NAME)
+                ? event.target.transaction.objectStore(STORE_NAME)
+                : database.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            for (const name of Array.from(snapshotsStore.indexNames)) {
+                if (!SNAPSHOT_INDEXES.some(index => index.name === name)) {
+                    snapshotsStore.deleteIndex(name);
+                }
+            }
+            for (const { name, keyPath, options } of SNAPSHOT_INDEXES) {
+                if (!snapshotsStore.indexNames.contains(name)) {
+                    snapshotsStore.createIndex(name, keyPath, options);
+                }
+            }
+            if (!database.objectStoreNames.contains(VOTES_STORE_NAME)) {
+                database.createObjectStore(VOTES_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!database.objectStoreNames.contains(RUNS_STORE_NAME)) {
+                database.createObjectStore(RUNS_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!database.objectStoreNames.contains(SUITES_STORE_NAME)) {
+                database.createObjectStore(SUITES_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!database.objectStoreNames.contains(JOURNAL_STORE_NAME)) {
+                database.createObjectStore(JOURNAL_STORE_NAME, { keyPath: 'id', autoIncrement: true });
             }
         };
     });
@@ -53,6 +192,35 @@ async function getAllSnapshots() {
     });
 }
 
+async function updateSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const request = store.put(snapshot);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getAllSnapshotTags() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readonly');
+        const store = transaction.objectStore(STORE_NAME);
+        const tags = [];
+        const request = store.index('tags').openKeyCursor(null, 'nextunique');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tags.push(cursor.key);
+                cursor.continue();
+            } else {
+                resolve(tags);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
 async function deleteSnapshot(id) {
     return new Promise((resolve, reject) => {
         const transaction = db.transaction([STORE_NAME], 'readwrite');
@@ -63,6 +231,136 @@ async function deleteSnapshot(id) {
     });
 }
 
+async function saveVote(vote) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VOTES_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(VOTES_STORE_NAME);
+        const request = store.add(vote);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getAllVotes() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([VOTES_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(VOTES_STORE_NAME);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function saveRun(run) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUNS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(RUNS_STORE_NAME);
+        const request = store.add(run);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getAllRuns() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUNS_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(RUNS_STORE_NAME);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function updateRun(run) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUNS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(RUNS_STORE_NAME);
+        const request = store.put(run);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function deleteRun(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([RUNS_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(RUNS_STORE_NAME);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function saveSuite(suite) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUITES_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(SUITES_STORE_NAME);
+        const request = store.put(suite);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getAllSuites() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUITES_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(SUITES_STORE_NAME);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function deleteSuite(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([SUITES_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(SUITES_STORE_NAME);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function saveJournalEntry(entry) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(JOURNAL_STORE_NAME);
+        const request = store.add(entry);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function getAllJournalEntries() {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_STORE_NAME], 'readonly');
+        const store = transaction.objectStore(JOURNAL_STORE_NAME);
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function updateJournalEntry(entry) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(JOURNAL_STORE_NAME);
+        const request = store.put(entry);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function deleteJournalEntry(id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([JOURNAL_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(JOURNAL_STORE_NAME);
+        const request = store.delete(id);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
 function captureCurrentPromptState() {
     if (!promptManager || !promptManager.serviceSettings) {
         return null;
@@ -71,14 +369,14 @@ function captureCurrentPromptState() {
     const prompts = structuredClone(promptManager.serviceSettings.prompts);
     const promptOrder = structuredClone(promptManager.serviceSettings.prompt_order);
     const presetName = oai_settings?.preset_settings_openai || 'Unknown Preset';
+    const settings = captureGenerationSettings();
     
-    const enabledCount = promptOrder.reduce((count, order) => {
-        return count + (order.order?.filter(o => o.enabled && !prompts.find(p => p.identifier === o.identifier)?.marker)?.length || 0);
-    }, 0);
+    const enabledCount = computeEnabledCount(prompts, promptOrder);
     
     return {
         prompts,
         promptOrder,
+        settings,
         presetName,
         enabledCount,
         timestamp: Date.now(),
@@ -86,6 +384,26 @@ function captureCurrentPromptState() {
     };
 }
 
+function getContentHash(state) {
+    const text = JSON.stringify([state.prompts, state.promptOrder]);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+}
+
+function computeEnabledCount(prompts, promptOrder) {
+    return promptOrder.reduce((count, order) => {
+        return count + (order.order?.filter(o => o.enabled && !prompts.find(p => p.identifier === o.identifier)?.marker)?.length || 0);
+    }, 0);
+}
+
 function applyPromptState(state) {
     if (!promptManager || !promptManager.serviceSettings || !state) {
         return false;
@@ -93,131 +411,684 @@ function applyPromptState(state) {
     
     promptManager.serviceSettings.prompts = structuredClone(state.prompts);
     promptManager.serviceSettings.prompt_order = structuredClone(state.promptOrder);
+    applyGenerationSettings(state.settings);
     promptManager.render(false);
     
     return true;
 }
 
-async function generateWithState(state, testMessage, outputElement) {
-    const originalState = captureCurrentPromptState();
-    const context = getContext();
-    const originalChat = structuredClone(context.chat);
+function getActiveOrderId() {
+    const orderConfig = promptManager?.configuration?.promptOrder;
+    if (orderConfig?.strategy === 'global') {
+        return orderConfig.dummyId;
+    }
+    return promptManager?.activeCharacter?.id ?? null;
+}
+
+function getOrderScope() {
+    const activeId = getActiveOrderId();
+    if (orderScope === null || orderScopeActiveId !== activeId) {
+        orderScope = activeId !== null ? String(activeId) : ALL_ORDERS_SCOPE;
+        orderScopeActiveId = activeId;
+    }
+    return orderScope;
+}
+
+function setOrderScope(scope) {
+    orderScope = scope;
+    orderScopeActiveId = getActiveOrderId();
+}
+
+function refreshOrderScope() {
+    const orderScopeSelect = document.getElementById('abtest-order-scope');
+    if (!orderScopeSelect) return;
     
-    try {
-        applyPromptState(state);
-        
-        if (testMessage && testMessage.trim()) {
-            context.chat.push({
-                name: context.name1,
-                is_user: true,
-                mes: testMessage.trim(),
-                send_date: Date.now(),
-            });
-        }
-        
-        outputElement.innerHTML = '<div class="abtest-response abtest-streaming"></div>';
-        const streamingDiv = outputElement.querySelector('.abtest-streaming');
-        
-        let fullText = '';
-        
-        const result = await context.generate('quiet', { 
-            skipWIAN: false,
-            force_name2: true,
-            callback: (text) => {
-                fullText = text;
-                if (streamingDiv) {
-                    streamingDiv.textContent = text;
-                }
+    orderScopeSelect.innerHTML = renderOrderScopeOptions([...currentSnapshots, captureCurrentPromptState()]);
+    refreshSnapshotsList();
+    updateDiffDisplay();
+}
+
+function getOrderScopeLabel(charId) {
+    if (charId === ALL_ORDERS_SCOPE) return 'All orders';
+    if (String(charId) === String(promptManager?.configuration?.promptOrder?.dummyId)) return 'Global';
+    if (Number(charId) === DEFAULT_ORDER_ID) return 'Default';
+    return getContext().characters?.[charId]?.name || `Character ${charId}`;
+}
+
+function getOrderEntries(state, scope = getOrderScope()) {
+    const entries = (state?.promptOrder || []).filter(entry => Array.isArray(entry.order));
+    if (scope === ALL_ORDERS_SCOPE) return entries;
+    return entries.filter(entry => String(entry.character_id) === scope);
+}
+
+function getEnabledIdentifiers(state, scope = getOrderScope()) {
+    const identifiers = new Set();
+    for (const orderEntry of getOrderEntries(state, scope)) {
+        for (const item of orderEntry.order) {
+            if (item.enabled) {
+                identifiers.add(item.identifier);
             }
-        });
-        
-        fullText = result || fullText;
-        
-        if (streamingDiv) {
-            streamingDiv.textContent = fullText;
-        }
-        
-        return fullText;
-    } catch (error) {
-        console.error(`[${EXTENSION_NAME}] Generation error:`, error);
-        return `Error: ${error.message}`;
-    } finally {
-        context.chat.length = 0;
-        context.chat.push(...originalChat);
-        
-        if (originalState) {
-            applyPromptState(originalState);
         }
     }
+    return identifiers;
 }
 
-function getPromptDifferences(stateA, stateB) {
-    const differences = [];
-    
-    if (!stateA || !stateB) return differences;
-    
-    const promptsA = new Map(stateA.prompts.map(p => [p.identifier, p]));
-    const promptsB = new Map(stateB.prompts.map(p => [p.identifier, p]));
+function applyOrderScope(state, scope = getOrderScope()) {
+    const activeId = getActiveOrderId();
+    const scopedEntry = getOrderEntries(state, scope)[0];
+    if (scope === ALL_ORDERS_SCOPE || !scopedEntry || activeId === null || String(activeId) === scope) {
+        return state;
+    }
     
-    const getAllEnabledStates = (state, identifier) => {
-        const states = new Map();
-        for (const orderEntry of state.promptOrder) {
-            if (!orderEntry.order) continue;
-            const charId = orderEntry.character_id || 'default';
-            const item = orderEntry.order.find(e => e.identifier === identifier);
-            if (item) {
-                states.set(charId, !!item.enabled);
-            }
-        }
-        return states;
+    return {
+        ...state,
+        promptOrder: [
+            ...state.promptOrder.filter(entry => String(entry.character_id) !== String(activeId)),
+            { character_id: activeId, order: structuredClone(scopedEntry.order) },
+        ],
     };
+}
+
+function renderOrderScopeOptions(states) {
+    const charIds = new Set();
+    for (const state of states) {
+        for (const orderEntry of getOrderEntries(state, ALL_ORDERS_SCOPE)) {
+            charIds.add(String(orderEntry.character_id));
+        }
+    }
     
-    const allIdentifiers = new Set([...promptsA.keys(), ...promptsB.keys()]);
+    const scope = getOrderScope();
+    if (scope !== ALL_ORDERS_SCOPE) {
+        charIds.add(scope);
+    }
     
-    for (const orderEntry of stateA.promptOrder) {
-        if (orderEntry.order) {
-            for (const item of orderEntry.order) {
-                allIdentifiers.add(item.identifier);
-            }
+    return [ALL_ORDERS_SCOPE, ...charIds].map(charId =>
+        `<option value="${escapeHtml(charId)}" ${charId === scope ? 'selected' : ''}>${escapeHtml(getOrderScopeLabel(charId))}</option>`
+    ).join('');
+}
+
+function captureGenerationSettings() {
+    const settings = {};
+    if (!oai_settings) return settings;
+    
+    for (const { key } of GENERATION_SETTINGS) {
+        if (oai_settings[key] !== undefined) {
+            settings[key] = structuredClone(oai_settings[key]);
         }
     }
-    for (const orderEntry of stateB.promptOrder) {
-        if (orderEntry.order) {
-            for (const item of orderEntry.order) {
-                allIdentifiers.add(item.identifier);
-            }
+    return settings;
+}
+
+function applyGenerationSettings(settings) {
+    if (!oai_settings || !settings) return;
+    
+    for (const { key } of GENERATION_SETTINGS) {
+        if (settings[key] !== undefined) {
+            oai_settings[key] = structuredClone(settings[key]);
         }
     }
+}
+
+function syncGenerationSettingsUi(settings) {
+    if (!settings) return;
     
-    const processedEnabledChanges = new Set();
-    
-    for (const id of allIdentifiers) {
-        const promptA = promptsA.get(id);
-        const promptB = promptsB.get(id);
+    for (const { key, selector } of GENERATION_SETTINGS) {
+        if (settings[key] === undefined || !selector) continue;
         
-        const name = promptA?.name || promptB?.name || id;
+        const element = $(selector);
+        if (!element.length) continue;
         
-        if (promptA && !promptB) {
-            differences.push({ type: 'removed', identifier: id, name });
-            continue;
+        if (element.is(':checkbox')) {
+            element.prop('checked', !!settings[key]);
+        } else {
+            element.val(settings[key]);
         }
-        
-        if (!promptA && promptB) {
-            differences.push({ type: 'added', identifier: id, name });
-            continue;
+        element.trigger('input');
+    }
+}
+
+function formatSettingValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'ON' : 'OFF';
+    return String(value);
+}
+
+function saveOwnSettings() {
+    ignoreSettingsUpdateUntil = Date.now() + SETTINGS_UPDATE_IGNORE_MS;
+    getContext().saveSettingsDebounced();
+}
+
+async function acquirePromptState() {
+    const previous = promptStateQueue;
+    let release;
+    promptStateQueue = new Promise(resolve => {
+        release = resolve;
+    });
+    await previous;
+    return release;
+}
+
+function getHeldSaveKey(url, init) {
+    if (typeof init?.body !== 'string') return null;
+    
+    const path = new URL(url, window.location.origin).pathname;
+    if (path === SETTINGS_SAVE_URL) {
+        return path;
+    }
+    if (!CHAT_SAVE_URLS.includes(path)) {
+        return null;
+    }
+    
+    try {
+        const body = JSON.parse(init.body);
+        return `${path}:${body.file_name ?? body.id}`;
+    } catch {
+        return null;
+    }
+}
+
+function isTestEntry(message, testEntry) {
+    return message?.is_user === true && message.mes === testEntry.mes && message.send_date === testEntry.send_date;
+}
+
+function cleanHeldSaveBody(url, body, testEntry) {
+    const data = JSON.parse(body);
+    if (new URL(url, window.location.origin).pathname === SETTINGS_SAVE_URL) {
+        if ('oai_settings' in data) {
+            data.oai_settings = oai_settings;
+        }
+        if ('extension_settings' in data) {
+            data.extension_settings = extension_settings;
+        }
+    } else if (testEntry && Array.isArray(data.chat)) {
+        data.chat = data.chat.filter(message => !isTestEntry(message, testEntry));
+    }
+    return JSON.stringify(data);
+}
+
+function installSaveGuard(testEntry) {
+    const originalFetch = window.fetch;
+    const held = new Map();
+    let active = true;
+    
+    const guardedFetch = function (input, init) {
+        const url = typeof input === 'string' ? input : input?.url;
+        const key = active && url ? getHeldSaveKey(url, init) : null;
+        if (!key) {
+            return originalFetch.call(this, input, init);
         }
         
-        if (promptA && promptB && promptA.content !== promptB.content) {
-            differences.push({ 
-                type: 'content_changed', 
-                identifier: id, 
-                name,
-                contentA: promptA.content,
-                contentB: promptB.content
-            });
+        return new Promise((resolve, reject) => {
+            const request = held.get(key) || { url, waiters: [] };
+            request.init = init;
+            request.waiters.push({ resolve, reject });
+            held.set(key, request);
+        });
+    };
+    window.fetch = guardedFetch;
+    
+    return async () => {
+        active = false;
+        if (window.fetch === guardedFetch) {
+            window.fetch = originalFetch;
         }
         
-        const enabledStatesA = getAllEnabledStates(stateA, id);
+        for (const { url, init, waiters } of held.values()) {
+            try {
+                const response = await originalFetch(url, { ...init, body: cleanHeldSaveBody(url, init.body, testEntry) });
+                waiters.forEach(waiter => waiter.resolve(response.clone()));
+            } catch (error) {
+                waiters.forEach(waiter => waiter.reject(error));
+            }
+        }
+    };
+}
+
+async function beginJournal(originalState, context, testEntry) {
+    if (!originalState) return null;
+    
+    try {
+        return await saveJournalEntry({
+            originalState,
+            chatId: context.getCurrentChatId?.() || null,
+            chatLength: context.chat?.length || 0,
+            testMessage: testEntry ? { mes: testEntry.mes, send_date: testEntry.send_date } : null,
+            timestamp: Date.now(),
+        });
+    } catch (error) {
+        console.warn(`[${EXTENSION_NAME}] Failed to write recovery journal:`, error);
+        return null;
+    }
+}
+
+async function endJournal(journalId) {
+    if (journalId === null) return;
+    
+    try {
+        await deleteJournalEntry(journalId);
+    } catch (error) {
+        console.warn(`[${EXTENSION_NAME}] Failed to clear recovery journal:`, error);
+    }
+}
+
+async function trimJournalChats() {
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.() || null;
+    const entries = (await getAllJournalEntries()).filter(entry => entry.stateHandled);
+    let trimmed = false;
+    
+    for (const entry of entries) {
+        if (entry.testMessage && entry.chatId) {
+            if (entry.chatId !== chatId) continue;
+            
+            const index = context.chat.findIndex((message, i) => i >= entry.chatLength && isTestEntry(message, entry.testMessage));
+            if (index !== -1) {
+                context.chat.splice(index, 1);
+                trimmed = true;
+            }
+        }
+        await deleteJournalEntry(entry.id);
+    }
+    
+    if (trimmed) {
+        await context.saveChat();
+        await context.reloadCurrentChat();
+    }
+}
+
+async function checkRecoveryJournal() {
+    const entries = (await getAllJournalEntries()).filter(entry => !entry.stateHandled);
+    if (entries.length === 0) {
+        await trimJournalChats();
+        return;
+    }
+    
+    const entry = entries.sort((a, b) => a.timestamp - b.timestamp)[0];
+    const confirmed = await Popup.show.confirm(
+        'A/B Test: unfinished test detected',
+        `A test started at ${new Date(entry.timestamp).toLocaleString()} did not finish, so the live prompt configuration may still be in its test state. Restore the configuration from before the test?`
+    );
+    
+    if (confirmed) {
+        if (await applyLiveState(entry.originalState)) {
+            toastr.success('Prompt configuration restored');
+        } else {
+            toastr.error('Failed to restore prompt configuration');
+            return;
+        }
+    }
+    
+    for (const pending of entries) {
+        await updateJournalEntry({ ...pending, stateHandled: true });
+    }
+    await trimJournalChats();
+}
+
+function raceAbort(promise, signal) {
+    if (!signal) return promise;
+    
+    promise.catch(() => {});
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new Error('Cancelled'));
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+async function withPromptState(state, testMessage, task, signal = null) {
+    const release = await acquirePromptState();
+    const originalState = captureCurrentPromptState();
+    const context = getContext();
+    const testEntry = testMessage && testMessage.trim() ? {
+        name: context.name1,
+        is_user: true,
+        mes: testMessage.trim(),
+        send_date: Date.now(),
+    } : null;
+    
+    promptStateActive = true;
+    const flushSaves = installSaveGuard(testEntry);
+    const journalId = await beginJournal(originalState, context, testEntry);
+    
+    try {
+        applyPromptState(applyOrderScope(state));
+        
+        if (testEntry) {
+            context.chat.push(testEntry);
+        }
+        
+        return await raceAbort(task(context), signal);
+    } finally {
+        const entryIndex = context.chat.indexOf(testEntry);
+        if (entryIndex !== -1) {
+            context.chat.splice(entryIndex, 1);
+        }
+        
+        if (originalState) {
+            applyPromptState(originalState);
+        }
+        
+        promptStateActive = false;
+        await flushSaves();
+        await endJournal(journalId);
+        release();
+    }
+}
+
+async function generateWithState(state, testMessage, outputElement, signal = null) {
+    try {
+        return await withPromptState(state, testMessage, async (context) => {
+            if (outputElement) {
+                outputElement.innerHTML = '<div class="abtest-response abtest-streaming"></div>';
+            }
+            const streamingDiv = outputElement?.querySelector('.abtest-streaming');
+            
+            let fullText = '';
+            
+            const result = await context.generate('quiet', { 
+                skipWIAN: false,
+                force_name2: true,
+                signal,
+                callback: (text) => {
+                    fullText = text;
+                    if (streamingDiv) {
+                        streamingDiv.textContent = text;
+                    }
+                }
+            });
+            
+            fullText = result || fullText;
+            
+            if (streamingDiv) {
+                streamingDiv.textContent = fullText;
+            }
+            
+            return fullText;
+        }, signal);
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Generation error:`, error);
+        throw error;
+    }
+}
+
+async function generateIsolated(state, messages, signal) {
+    const settings = state.settings || captureGenerationSettings();
+    const result = await ChatCompletionService.processRequest({
+        stream: false,
+        messages,
+        chat_completion_source: oai_settings.chat_completion_source,
+        model: getChatCompletionModel(),
+        max_tokens: settings.openai_max_tokens,
+        temperature: settings.temp_openai,
+        top_p: settings.top_p_openai,
+        top_k: settings.top_k_openai,
+        top_a: settings.top_a_openai,
+        min_p: settings.min_p_openai,
+        frequency_penalty: settings.freq_pen_openai,
+        presence_penalty: settings.pres_pen_openai,
+        repetition_penalty: settings.repetition_penalty_openai,
+        seed: settings.seed >= 0 ? settings.seed : undefined,
+        n: settings.n,
+        reasoning_effort: settings.reasoning_effort,
+        custom_url: oai_settings.custom_url,
+        reverse_proxy: oai_settings.reverse_proxy,
+        proxy_password: oai_settings.proxy_password,
+    }, {}, true, signal);
+    
+    return cleanIsolatedText(result?.content || '');
+}
+
+function cleanIsolatedText(text) {
+    const name2 = getContext().name2;
+    const trimmed = text.trim();
+    if (name2 && trimmed.startsWith(`${name2}:`)) {
+        return trimmed.substring(name2.length + 1).trim();
+    }
+    return trimmed;
+}
+
+function getSlotDeadline() {
+    const timeoutSeconds = getSettings().slotTimeoutSeconds;
+    return timeoutSeconds > 0 ? Date.now() + timeoutSeconds * 1000 : null;
+}
+
+async function runWithTimeout(task, signal, deadline = null) {
+    if (signal?.aborted) {
+        throw new Error('Cancelled');
+    }
+    
+    const timeoutMessage = `Slot timed out after ${getSettings().slotTimeoutSeconds}s`;
+    if (deadline !== null && deadline <= Date.now()) {
+        throw new Error(timeoutMessage);
+    }
+    
+    const controller = new AbortController();
+    let timer = null;
+    let onAbort = null;
+    const interrupted = new Promise((_, reject) => {
+        onAbort = () => {
+            controller.abort();
+            reject(new Error('Cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort);
+        
+        if (deadline !== null) {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new Error(timeoutMessage));
+            }, deadline - Date.now());
+        }
+    });
+    
+    const pending = task(controller.signal);
+    pending.catch(() => {});
+    
+    try {
+        return await Promise.race([pending, interrupted]);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+}
+
+async function assemblePromptWithState(state, testMessage) {
+    return withPromptState(state, testMessage, async (context) => {
+        let messages = null;
+        const onPromptReady = (data) => {
+            messages = structuredClone(data.chat);
+        };
+        
+        eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, onPromptReady);
+        try {
+            await context.generate('quiet', { skipWIAN: false, force_name2: true }, true);
+        } finally {
+            eventSource.removeListener(event_types.CHAT_COMPLETION_PROMPT_READY, onPromptReady);
+        }
+        
+        if (!messages) {
+            throw new Error('Prompt was not assembled (Chat Completion API required)');
+        }
+        return messages;
+    });
+}
+
+function getIsolatedOrder(state) {
+    const scoped = applyOrderScope(state);
+    const activeId = getActiveOrderId();
+    return (activeId !== null ? getOrderEntries(scoped, String(activeId))[0] : null)
+        ?? getOrderEntries(scoped, String(DEFAULT_ORDER_ID))[0]
+        ?? getOrderEntries(scoped, ALL_ORDERS_SCOPE)[0]
+        ?? null;
+}
+
+function squashSystemMessages(messages) {
+    const squashed = [];
+    for (const message of messages) {
+        const previous = squashed[squashed.length - 1];
+        if (message.role === 'system' && previous?.role === 'system' && !message.name && !previous.name) {
+            previous.content += `\n${message.content}`;
+        } else {
+            squashed.push({ ...message });
+        }
+    }
+    return squashed;
+}
+
+async function buildIsolatedMessages(state, testMessage) {
+    const orderEntry = getIsolatedOrder(state);
+    if (!orderEntry) {
+        throw new Error('Snapshot has no prompt order');
+    }
+    
+    const context = getContext();
+    const substitute = (text) => context.substituteParams(text || '');
+    const prompts = new Map(structuredClone(state.prompts).map(prompt => [prompt.identifier, prompt]));
+    const enabledPrompts = orderEntry.order.filter(item => item.enabled).map(item => prompts.get(item.identifier)).filter(Boolean);
+    
+    const history = (context.chat || [])
+        .filter(message => !message.is_system)
+        .map(message => ({ role: message.is_user ? 'user' : 'assistant', content: message.mes }));
+    if (testMessage && testMessage.trim()) {
+        history.push({ role: 'user', content: testMessage.trim() });
+    }
+    
+    const markerContent = {
+        charDescription: substitute('{{description}}'),
+        charPersonality: substitute('{{personality}}'),
+        scenario: substitute('{{scenario}}'),
+        personaDescription: substitute('{{persona}}'),
+        dialogueExamples: substitute('{{mesExamples}}'),
+        worldInfoBefore: '',
+        worldInfoAfter: '',
+    };
+    
+    try {
+        const scanChat = history.map(message => message.content).reverse();
+        const maxContext = state.settings?.openai_max_context ?? oai_settings.openai_max_context;
+        const worldInfo = await getWorldInfoPrompt(scanChat, maxContext, true, {
+            personaDescription: markerContent.personaDescription,
+            characterDescription: markerContent.charDescription,
+            characterPersonality: markerContent.charPersonality,
+            scenario: markerContent.scenario,
+        });
+        markerContent.worldInfoBefore = worldInfo?.worldInfoBefore || '';
+        markerContent.worldInfoAfter = worldInfo?.worldInfoAfter || '';
+    } catch (error) {
+        console.warn(`[${EXTENSION_NAME}] World info scan failed:`, error);
+    }
+    
+    const injections = enabledPrompts.filter(prompt => !prompt.marker && prompt.injection_position === 1);
+    for (const prompt of injections.sort((a, b) => (a.injection_depth ?? 4) - (b.injection_depth ?? 4))) {
+        const content = substitute(prompt.content);
+        if (!content) continue;
+        
+        const index = Math.max(history.length - (prompt.injection_depth ?? 4), 0);
+        history.splice(index, 0, { role: prompt.role || 'system', content });
+    }
+    
+    const messages = [];
+    for (const prompt of enabledPrompts) {
+        if (prompt.identifier === 'chatHistory') {
+            messages.push(...history);
+        } else if (prompt.marker) {
+            const content = markerContent[prompt.identifier];
+            if (content) {
+                messages.push({ role: 'system', content });
+            }
+        } else if (prompt.injection_position !== 1) {
+            const content = substitute(prompt.content);
+            if (content) {
+                messages.push({ role: prompt.role || 'system', content });
+            }
+        }
+    }
+    
+    const squash = state.settings?.squash_system_messages ?? oai_settings.squash_system_messages;
+    return squash ? squashSystemMessages(messages) : messages;
+}
+
+function getPromptDifferences(stateA, stateB, scope = getOrderScope()) {
+    const differences = [];
+    
+    if (!stateA || !stateB) return differences;
+    
+    const promptsA = new Map(stateA.prompts.map(p => [p.identifier, p]));
+    const promptsB = new Map(stateB.prompts.map(p => [p.identifier, p]));
+    
+    const getAllEnabledStates = (state, identifier) => {
+        const states = new Map();
+        for (const orderEntry of getOrderEntries(state, scope)) {
+            const charId = String(orderEntry.character_id);
+            const item = orderEntry.order.find(e => e.identifier === identifier);
+            if (item) {
+                states.set(charId, !!item.enabled);
+            }
+        }
+        return states;
+    };
+    
+    const allIdentifiers = new Set([...promptsA.keys(), ...promptsB.keys()]);
+    
+    for (const orderEntry of [...getOrderEntries(stateA, scope), ...getOrderEntries(stateB, scope)]) {
+        for (const item of orderEntry.order) {
+            allIdentifiers.add(item.identifier);
+        }
+    }
+    
+    const processedEnabledChanges = new Set();
+    
+    for (const id of allIdentifiers) {
+        const promptA = promptsA.get(id);
+        const promptB = promptsB.get(id);
+        
+        const name = promptA?.name || promptB?.name || id;
+        
+        if (promptA && !promptB) {
+            differences.push({ type: 'removed', identifier: id, name });
+            continue;
+        }
+        
+        if (!promptA && promptB) {
+            differences.push({ type: 'added', identifier: id, name });
+            continue;
+        }
+        
+        if (promptA && promptB && (promptA.role || 'system') !== (promptB.role || 'system')) {
+            differences.push({
+                type: 'role_changed',
+                identifier: id,
+                name,
+                roleA: promptA.role || 'system',
+                roleB: promptB.role || 'system'
+            });
+        }
+        
+        if (promptA && promptB && formatInjection(promptA) !== formatInjection(promptB)) {
+            differences.push({
+                type: 'injection_changed',
+                identifier: id,
+                name,
+                injectionA: formatInjection(promptA),
+                injectionB: formatInjection(promptB)
+            });
+        }
+        
+        if (promptA && promptB && promptA.content !== promptB.content) {
+            differences.push({ 
+                type: 'content_changed', 
+                identifier: id, 
+                name,
+                contentA: promptA.content,
+                contentB: promptB.content
+            });
+        }
+        
+        const enabledStatesA = getAllEnabledStates(stateA, id);
         const enabledStatesB = getAllEnabledStates(stateB, id);
         
         const allCharIds = new Set([...enabledStatesA.keys(), ...enabledStatesB.keys()]);
@@ -234,28 +1105,119 @@ function getPromptDifferences(stateA, stateB) {
                         type: 'enabled_changed',
                         identifier: id,
                         name,
+                        charId,
                         enabledA,
-                        enabledB
+                        enabledB,
+                        contentA: promptA?.content,
+                        contentB: promptB?.content
                     });
                 }
             }
         }
     }
     
+    differences.push(...getMovedPrompts(stateA, stateB, scope));
+    
+    if (stateA.settings && stateB.settings) {
+        for (const { key, label } of GENERATION_SETTINGS) {
+            const valueA = stateA.settings[key];
+            const valueB = stateB.settings[key];
+            
+            if (formatSettingValue(valueA) !== formatSettingValue(valueB)) {
+                differences.push({
+                    type: 'setting_changed',
+                    identifier: key,
+                    name: label,
+                    valueA,
+                    valueB
+                });
+            }
+        }
+    }
+    
     return differences;
 }
 
+function formatInjection(prompt) {
+    if (prompt?.injection_position === 1) {
+        return `In-chat @ depth ${prompt.injection_depth ?? 4}`;
+    }
+    return 'Relative';
+}
+
+function getOrderPairs(stateA, stateB, scope) {
+    const entriesB = new Map(getOrderEntries(stateB, scope).map(entry => [String(entry.character_id), entry]));
+    return getOrderEntries(stateA, scope)
+        .filter(entry => entriesB.has(String(entry.character_id)))
+        .map(entry => ({
+            charId: String(entry.character_id),
+            orderA: entry.order,
+            orderB: entriesB.get(String(entry.character_id)).order,
+        }));
+}
+
+function findMovedIdentifiers(orderA, orderB) {
+    const idsA = orderA.map(item => item.identifier);
+    const idsB = orderB.map(item => item.identifier);
+    const setA = new Set(idsA);
+    const setB = new Set(idsB);
+    
+    const commonA = idsA.filter(id => setB.has(id));
+    const commonB = idsB.filter(id => setA.has(id));
+    
+    return new Set(diffSequences(commonA, commonB)
+        .filter(op => op.type === 'added')
+        .map(op => op.value));
+}
+
+function getMovedPrompts(stateA, stateB, scope) {
+    const promptsA = new Map(stateA.prompts.map(p => [p.identifier, p]));
+    const promptsB = new Map(stateB.prompts.map(p => [p.identifier, p]));
+    const moved = [];
+    
+    for (const { charId, orderA, orderB } of getOrderPairs(stateA, stateB, scope)) {
+        const idsA = orderA.map(item => item.identifier);
+        const idsB = orderB.map(item => item.identifier);
+        
+        for (const id of findMovedIdentifiers(orderA, orderB)) {
+            moved.push({
+                type: 'moved',
+                identifier: id,
+                name: promptsA.get(id)?.name || promptsB.get(id)?.name || id,
+                charId,
+                positionA: idsA.indexOf(id) + 1,
+                positionB: idsB.indexOf(id) + 1
+            });
+        }
+    }
+    
+    return moved;
+}
+
 function createSnapshotCard(snapshot, index, isSelected = false) {
     const selectedClass = isSelected ? 'abtest-snapshot-selected' : '';
     const presetBadge = snapshot.presetName ? `<span class="abtest-preset-badge">${escapeHtml(snapshot.presetName)}</span>` : '';
+    const tokenTotal = countEnabledTokens(snapshot);
     return `
         <div class="abtest-snapshot-card ${selectedClass}" data-id="${snapshot.id}" data-index="${index}">
             <div class="abtest-snapshot-header">
                 <span class="abtest-snapshot-name">${escapeHtml(snapshot.name)}</span>
                 <div class="abtest-snapshot-actions">
+                    <button class="abtest-btn-icon abtest-edit-btn" data-id="${snapshot.id}" title="Rename, notes and tags">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
                     <button class="abtest-btn-icon abtest-view-btn" data-id="${snapshot.id}" title="View prompts">
                         <i class="fa-solid fa-eye"></i>
                     </button>
+                    <button class="abtest-btn-icon abtest-restore-btn" data-id="${snapshot.id}" title="Restore as live config">
+                        <i class="fa-solid fa-clock-rotate-left"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-save-preset-btn" data-id="${snapshot.id}" title="Save as preset">
+                        <i class="fa-solid fa-floppy-disk"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-export-btn" data-id="${snapshot.id}" title="Export">
+                        <i class="fa-solid fa-file-export"></i>
+                    </button>
                     <button class="abtest-btn-icon abtest-select-btn" data-slot="${index}" title="Select for comparison">
                         <i class="fa-solid fa-check"></i>
                     </button>
@@ -266,26 +1228,81 @@ function createSnapshotCard(snapshot, index, isSelected = false) {
             </div>
             <div class="abtest-snapshot-meta">
                 ${presetBadge}
+                ${isAutoSnapshot(snapshot) ? '<span class="abtest-auto-badge" title="Saved automatically, pruned by retention">Auto</span>' : ''}
                 <span>${new Date(snapshot.timestamp).toLocaleString()}</span>
             </div>
+            ${snapshot.tags?.length ? `<div class="abtest-snapshot-tags">${snapshot.tags.map(tag => `<span class="abtest-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+            ${snapshot.notes ? `<div class="abtest-snapshot-notes" title="${escapeHtml(snapshot.notes)}">${escapeHtml(snapshot.notes)}</div>` : ''}
             <div class="abtest-snapshot-preview">
-                ${countEnabledPrompts(snapshot)} prompts enabled
+                ${countEnabledPrompts(snapshot)} prompts enabled${tokenTotal !== null ? ` · ${tokenTotal} tokens` : ''}
             </div>
         </div>
     `;
 }
 
 function countEnabledPrompts(snapshot) {
-    let count = 0;
-    for (const orderEntry of snapshot.promptOrder) {
-        if (!orderEntry.order) continue;
-        for (const item of orderEntry.order) {
-            if (item.enabled) {
-                count++;
+    return getEnabledIdentifiers(snapshot).size;
+}
+
+async function warmTokenCounts(states) {
+    const model = getTokenizerModel();
+    if (model !== tokenCountModel) {
+        tokenCountCache = new Map();
+        tokenCountModel = model;
+    }
+    
+    let added = false;
+    for (const state of states) {
+        for (const prompt of state?.prompts || []) {
+            const text = prompt.content || '';
+            if (prompt.marker || tokenCountCache.has(text)) continue;
+            
+            try {
+                tokenCountCache.set(text, await getTokenCountAsync(text));
+                added = true;
+            } catch (error) {
+                console.warn(`[${EXTENSION_NAME}] Failed to count tokens:`, error);
+                return added;
             }
         }
     }
-    return count;
+    return added;
+}
+
+function getCachedTokenCount(text) {
+    return tokenCountCache.get(text || '') ?? null;
+}
+
+function countEnabledTokens(snapshot) {
+    const enabledIds = getEnabledIdentifiers(snapshot);
+    
+    let total = 0;
+    for (const prompt of snapshot.prompts) {
+        if (!enabledIds.has(prompt.identifier) || prompt.marker) continue;
+        
+        const count = getCachedTokenCount(prompt.content);
+        if (count === null) return null;
+        total += count;
+    }
+    return total;
+}
+
+function renderTokenDelta(diff) {
+    let delta;
+    if (diff.type === 'content_changed') {
+        const countA = getCachedTokenCount(diff.contentA);
+        const countB = getCachedTokenCount(diff.contentB);
+        if (countA === null || countB === null) return '';
+        delta = countB - countA;
+    } else {
+        const count = getCachedTokenCount(diff.enabledB ? diff.contentB : diff.contentA);
+        if (count === null) return '';
+        delta = diff.enabledB ? count : -count;
+    }
+    
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+    const colorClass = delta > 0 ? 'abtest-token-up' : delta < 0 ? 'abtest-token-down' : '';
+    return `<span class="abtest-token-delta ${colorClass}">${sign}${Math.abs(delta)} tokens</span>`;
 }
 
 function renderDifferences(differences) {
@@ -293,7 +1310,7 @@ function renderDifferences(differences) {
         return '<div class="abtest-no-diff">No differences found</div>';
     }
     
-    return differences.map((diff, index) => {
+    const items = differences.map((diff, index) => {
         let icon, label, detail = '', colorClass = '', clickable = false;
         
         switch (diff.type) {
@@ -325,11 +1342,35 @@ function renderDifferences(differences) {
                 icon = 'fa-toggle-on';
                 label = diff.name;
                 colorClass = diff.enabledB ? 'abtest-diff-added' : 'abtest-diff-removed';
-                detail = `<div class="abtest-diff-detail"><span class="abtest-tag-off">${diff.enabledA ? 'ON' : 'OFF'}</span> → <span class="abtest-tag-on">${diff.enabledB ? 'ON' : 'OFF'}</span></div>`;
+                detail = `<div class="abtest-diff-detail"><span class="abtest-tag-off">${diff.enabledA ? 'ON' : 'OFF'}</span> → <span class="abtest-tag-on">${diff.enabledB ? 'ON' : 'OFF'}</span> <span class="abtest-diff-scope"><i class="fa-solid fa-user"></i> ${escapeHtml(getOrderScopeLabel(diff.charId))}</span></div>`;
                 break;
-            default:
-                icon = 'fa-question';
-                label = diff.type;
+            case 'moved':
+                icon = 'fa-arrows-up-down';
+                label = diff.name;
+                colorClass = 'abtest-diff-modified';
+                detail = `<div class="abtest-diff-detail">#${diff.positionA} → #${diff.positionB} <span class="abtest-diff-scope"><i class="fa-solid fa-user"></i> ${escapeHtml(getOrderScopeLabel(diff.charId))}</span></div>`;
+                break;
+            case 'role_changed':
+                icon = 'fa-user-tag';
+                label = diff.name;
+                colorClass = 'abtest-diff-modified';
+                detail = `<div class="abtest-diff-detail"><span class="abtest-setting-old">${escapeHtml(diff.roleA)}</span> → <span class="abtest-setting-new">${escapeHtml(diff.roleB)}</span></div>`;
+                break;
+            case 'injection_changed':
+                icon = 'fa-syringe';
+                label = diff.name;
+                colorClass = 'abtest-diff-modified';
+                detail = `<div class="abtest-diff-detail"><span class="abtest-setting-old">${escapeHtml(diff.injectionA)}</span> → <span class="abtest-setting-new">${escapeHtml(diff.injectionB)}</span></div>`;
+                break;
+            case 'setting_changed':
+                icon = 'fa-sliders';
+                label = diff.name;
+                colorClass = 'abtest-diff-modified';
+                detail = `<div class="abtest-diff-detail"><span class="abtest-setting-old">${escapeHtml(formatSettingValue(diff.valueA))}</span> → <span class="abtest-setting-new">${escapeHtml(formatSettingValue(diff.valueB))}</span></div>`;
+                break;
+            default:
+                icon = 'fa-question';
+                label = diff.type;
         }
         
         const dataAttr = clickable ? `data-diff-index="${index}"` : '';
@@ -339,12 +1380,26 @@ function renderDifferences(differences) {
                 <div class="abtest-diff-header">
                     <i class="fa-solid ${icon}"></i>
                     <span class="abtest-diff-name">${escapeHtml(label)}</span>
+                    ${diff.type === 'content_changed' || diff.type === 'enabled_changed' ? renderTokenDelta(diff) : ''}
                     ${clickable ? '<span class="abtest-diff-hint">Click to compare</span>' : ''}
                 </div>
                 ${detail}
             </div>
         `;
-    }).join('');
+    });
+    
+    const promptItems = items.filter((_, index) => differences[index].type !== 'setting_changed');
+    const settingItems = items.filter((_, index) => differences[index].type === 'setting_changed');
+    
+    if (settingItems.length === 0) {
+        return promptItems.join('');
+    }
+    
+    return `
+        ${promptItems.join('')}
+        <div class="abtest-diff-group-title"><i class="fa-solid fa-sliders"></i> Settings</div>
+        ${settingItems.join('')}
+    `;
 }
 
 function getAvailablePresets() {
@@ -371,6 +1426,104 @@ function getCurrentPresetName() {
     return oai_settings?.preset_settings_openai || 'Unknown';
 }
 
+function getPresetSettings(presetName) {
+    try {
+        const pm = getPresetManager('openai');
+        if (pm) {
+            const settings = pm.getPresetSettings(presetName);
+            return settings ? structuredClone(settings) : null;
+        }
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to read preset:`, error);
+    }
+    return null;
+}
+
+function buildSnapshotFromPreset(preset, presetName) {
+    if (!preset || !Array.isArray(preset.prompts)) {
+        return null;
+    }
+    
+    const prompts = structuredClone(preset.prompts);
+    const promptOrder = Array.isArray(preset.prompt_order) ? structuredClone(preset.prompt_order) : [];
+    
+    const settings = {};
+    for (const { key, presetKey } of GENERATION_SETTINGS) {
+        if (preset[presetKey] !== undefined) {
+            settings[key] = structuredClone(preset[presetKey]);
+        }
+    }
+    
+    return {
+        prompts,
+        promptOrder,
+        settings,
+        presetName,
+        enabledCount: computeEnabledCount(prompts, promptOrder),
+        timestamp: Date.now(),
+        name: `[${presetName}] ${new Date().toLocaleString()}`
+    };
+}
+
+function buildPresetFromSnapshot(snapshot) {
+    const basePreset = getPresetSettings(snapshot.presetName) || getPresetSettings(getCurrentPresetName()) || {};
+    const preset = {
+        ...basePreset,
+        prompts: structuredClone(snapshot.prompts),
+        prompt_order: structuredClone(snapshot.promptOrder),
+    };
+    
+    for (const { key, presetKey } of GENERATION_SETTINGS) {
+        if (snapshot.settings?.[key] !== undefined) {
+            preset[presetKey] = structuredClone(snapshot.settings[key]);
+        }
+    }
+    
+    return preset;
+}
+
+async function saveSnapshotAsPreset(snapshot) {
+    const pm = getPresetManager('openai');
+    if (!pm) {
+        toastr.error('Preset manager is not available');
+        return false;
+    }
+    
+    let name = await Popup.show.input('Save as Preset', 'Enter a name for the new Chat Completion preset:', `${snapshot.presetName || 'Preset'} (A/B)`);
+    name = name?.trim();
+    if (!name) return false;
+    
+    while (pm.findPreset(name) !== undefined) {
+        const overwrite = await Popup.show.confirm('Preset Exists', `A preset named "${name}" already exists. Overwrite it?`);
+        if (overwrite === POPUP_RESULT.AFFIRMATIVE) break;
+        
+        name = await Popup.show.input('Save as Preset', 'Choose a different preset name:', `${name} (copy)`);
+        name = name?.trim();
+        if (!name) return false;
+    }
+    
+    try {
+        await pm.savePreset(name, buildPresetFromSnapshot(snapshot));
+        toastr.success(`Saved preset: ${name}`);
+        refreshPresetSelect();
+        return true;
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to save preset:`, error);
+        toastr.error('Failed to save preset');
+        return false;
+    }
+}
+
+function refreshPresetSelect() {
+    const select = document.getElementById('abtest-preset-select');
+    if (!select) return;
+    
+    const currentPreset = getCurrentPresetName();
+    select.innerHTML = getAvailablePresets().map(p =>
+        `<option value="${escapeHtml(p)}" ${p === currentPreset ? 'selected' : ''}>${escapeHtml(p)}</option>`
+    ).join('');
+}
+
 async function switchPreset(presetName) {
     try {
         const pm = getPresetManager('openai');
@@ -378,6 +1531,7 @@ async function switchPreset(presetName) {
             const presetValue = pm.findPreset(presetName);
             if (presetValue !== undefined) {
                 await pm.selectPreset(presetValue);
+                liveParentId = null;
                 return true;
             }
         }
@@ -389,6 +1543,8 @@ async function switchPreset(presetName) {
 
 async function showMainModal() {
     await loadSnapshots();
+    await loadRuns();
+    await loadSuites();
     
     const currentState = captureCurrentPromptState();
     const presets = getAvailablePresets();
@@ -408,6 +1564,14 @@ async function showMainModal() {
                 <div class="abtest-section">
                     <div class="abtest-section-header">
                         <span class="abtest-section-title">Quick Preset Switch</span>
+                        <div class="abtest-header-actions">
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-undo-restore" title="Undo last restore" ${restoreUndoStack.length === 0 ? 'disabled' : ''}>
+                                <i class="fa-solid fa-rotate-left"></i> Undo
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-redo-restore" title="Redo restore" ${restoreRedoStack.length === 0 ? 'disabled' : ''}>
+                                <i class="fa-solid fa-rotate-right"></i> Redo
+                            </button>
+                        </div>
                     </div>
                     <div class="abtest-preset-switch">
                         <select class="abtest-select" id="abtest-preset-select">
@@ -428,43 +1592,77 @@ async function showMainModal() {
                 <div class="abtest-section">
                     <div class="abtest-section-header">
                         <span class="abtest-section-title">Snapshots</span>
-                        <button class="abtest-btn abtest-btn-primary" id="abtest-save-snapshot">
-                            <i class="fa-solid fa-camera"></i> Save Current
-                        </button>
+                        <div class="abtest-header-actions">
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-snapshot-timeline">
+                                <i class="fa-solid fa-code-branch"></i> Timeline
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-snapshot-from-preset">
+                                <i class="fa-solid fa-file-circle-plus"></i> From Preset
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-import-snapshots">
+                                <i class="fa-solid fa-file-import"></i> Import
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-export-all">
+                                <i class="fa-solid fa-file-export"></i> Export All
+                            </button>
+                            <button class="abtest-btn abtest-btn-primary" id="abtest-save-snapshot">
+                                <i class="fa-solid fa-camera"></i> Save Current
+                            </button>
+                            <input type="file" id="abtest-import-file" accept=".json,application/json" hidden>
+                        </div>
+                    </div>
+                    <div class="abtest-snapshot-toolbar">
+                        <input type="search" class="text_pole" id="abtest-snapshot-search" placeholder="Search name, preset, tag, notes..." value="${escapeHtml(snapshotFilter.query)}">
+                        <select class="abtest-select" id="abtest-snapshot-tag-filter">
+                            ${renderTagFilterOptions()}
+                        </select>
+                        <select class="abtest-select" id="abtest-snapshot-source">
+                            ${Object.entries(SNAPSHOT_SOURCE_FILTERS).map(([key, label]) => `<option value="${key}" ${key === snapshotFilter.source ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <select class="abtest-select" id="abtest-snapshot-sort">
+                            ${Object.entries(SNAPSHOT_SORTS).map(([key, { label }]) => `<option value="${key}" ${key === snapshotFilter.sort ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                        <label class="abtest-option" for="abtest-auto-snapshot" title="Save a snapshot automatically before and after preset changes and when settings are saved. Unchanged prompts are skipped.">
+                            <input type="checkbox" id="abtest-auto-snapshot" ${getSettings().autoSnapshotEnabled ? 'checked' : ''}>
+                            Auto
+                        </label>
+                        <label class="abtest-option" for="abtest-auto-retention" title="Number of auto-snapshots to keep">
+                            Keep
+                            <input type="number" class="abtest-number" id="abtest-auto-retention" min="1" value="${getSettings().autoSnapshotRetention}">
+                        </label>
                     </div>
                     <div class="abtest-snapshots-list" id="abtest-snapshots-list">
-                        ${currentSnapshots.length === 0 
-                            ? '<div class="abtest-empty">No snapshots saved yet</div>'
-                            : currentSnapshots.map((s, i) => createSnapshotCard(s, i)).join('')
-                        }
+                        ${renderSnapshotsList()}
                     </div>
                 </div>
                 
                 <div class="abtest-section">
                     <div class="abtest-section-header">
                         <span class="abtest-section-title">Compare</span>
-                    </div>
-                    <div class="abtest-compare-slots">
-                        <div class="abtest-slot" id="abtest-slot-a">
-                            <div class="abtest-slot-label">A</div>
-                            <div class="abtest-slot-content" id="abtest-slot-a-content">
-                                <span class="abtest-slot-empty">Select a snapshot</span>
-                            </div>
-                        </div>
-                        <div class="abtest-vs">VS</div>
-                        <div class="abtest-slot" id="abtest-slot-b">
-                            <div class="abtest-slot-label">B</div>
-                            <div class="abtest-slot-content" id="abtest-slot-b-content">
-                                <span class="abtest-slot-empty">Select a snapshot or use current</span>
-                            </div>
-                            <button class="abtest-btn abtest-btn-secondary abtest-use-current" id="abtest-use-current">
-                                Use Current Config
+                        <div class="abtest-compare-controls">
+                            <select class="abtest-select" id="abtest-order-scope" title="Prompt order scope">
+                                ${renderOrderScopeOptions([...currentSnapshots, currentState])}
+                            </select>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-use-current">
+                                <i class="fa-solid fa-plus"></i> Add Current Config
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-clear-slots">
+                                <i class="fa-solid fa-xmark"></i> Clear
                             </button>
                         </div>
                     </div>
+                    <div class="abtest-blind-note">Slot names are hidden until you vote</div>
+                    <div class="abtest-compare-slots" id="abtest-compare-slots">
+                        ${renderSlots()}
+                    </div>
                     
                     <div class="abtest-diff-section" id="abtest-diff-section" style="display: none;">
-                        <div class="abtest-section-title">Differences</div>
+                        <div class="abtest-section-header">
+                            <span class="abtest-section-title">Differences</span>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-diff-assembled" title="Build the final message arrays without calling the API">
+                                <i class="fa-solid fa-scroll"></i> Diff assembled prompts
+                            </button>
+                        </div>
                         <div class="abtest-diff-list" id="abtest-diff-list"></div>
                     </div>
                 </div>
@@ -472,27 +1670,101 @@ async function showMainModal() {
                 <div class="abtest-section">
                     <div class="abtest-section-header">
                         <span class="abtest-section-title">Test Message</span>
+                        <div class="abtest-header-actions">
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-edit-checks">
+                                <i class="fa-solid fa-list-check"></i> Checks
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-vote-stats">
+                                <i class="fa-solid fa-chart-simple"></i> Vote Stats
+                            </button>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-leaderboard">
+                                <i class="fa-solid fa-ranking-star"></i> Leaderboard
+                            </button>
+                        </div>
                     </div>
                     <textarea class="abtest-input" id="abtest-input" placeholder="Enter test message (optional - uses current chat if empty)..."></textarea>
-                    <button class="abtest-btn abtest-btn-primary abtest-run-btn" id="abtest-run-test">
-                        <i class="fa-solid fa-play"></i> Run A/B Test
-                    </button>
+                    <div class="abtest-run-options">
+                        <label class="abtest-option" for="abtest-samples">
+                            Samples per slot
+                            <input type="number" class="abtest-number" id="abtest-samples" min="1" max="${MAX_SAMPLES}" value="1">
+                        </label>
+                        <label class="abtest-option" for="abtest-blind">
+                            <input type="checkbox" id="abtest-blind">
+                            Blind mode
+                        </label>
+                        <label class="abtest-option" for="abtest-judge-enabled">
+                            <input type="checkbox" id="abtest-judge-enabled" ${getSettings().judgeEnabled ? 'checked' : ''}>
+                            LLM judge
+                        </label>
+                        <button class="abtest-btn-icon" id="abtest-edit-rubric" title="Edit judge rubric">
+                            <i class="fa-solid fa-gavel"></i>
+                        </button>
+                        <label class="abtest-option" for="abtest-timeout" title="Per-slot timeout in seconds (0 = none)">
+                            Timeout (s)
+                            <input type="number" class="abtest-number" id="abtest-timeout" min="0" value="${getSettings().slotTimeoutSeconds}">
+                        </label>
+                        <label class="abtest-option" for="abtest-parallel" title="Send all slots at once without switching the live config. The backend must accept concurrent requests.">
+                            <input type="checkbox" id="abtest-parallel" ${getSettings().parallelMode ? 'checked' : ''}>
+                            Parallel
+                        </label>
+                    </div>
+                    <div class="abtest-run-row">
+                        <button class="abtest-btn abtest-btn-primary abtest-run-btn" id="abtest-run-test">
+                            <i class="fa-solid fa-play"></i> Run A/B Test
+                        </button>
+                        <button class="abtest-btn abtest-btn-danger" id="abtest-stop-test" style="display: none;">
+                            <i class="fa-solid fa-stop"></i> Stop
+                        </button>
+                    </div>
+                    <div class="abtest-suite-row">
+                        <select class="abtest-select" id="abtest-suite-select">
+                            ${renderSuiteOptions(currentSuites)}
+                        </select>
+                        <button class="abtest-btn-icon" id="abtest-suite-new" title="New suite">
+                            <i class="fa-solid fa-plus"></i>
+                        </button>
+                        <button class="abtest-btn-icon" id="abtest-suite-edit" title="Edit suite">
+                            <i class="fa-solid fa-pen"></i>
+                        </button>
+                        <button class="abtest-btn-icon" id="abtest-suite-delete" title="Delete suite">
+                            <i class="fa-solid fa-trash"></i>
+                        </button>
+                        <button class="abtest-btn abtest-btn-secondary" id="abtest-run-suite">
+                            <i class="fa-solid fa-list-check"></i> Run Suite
+                        </button>
+                    </div>
                 </div>
                 
                 <div class="abtest-results" id="abtest-results" style="display: none;">
                     <div class="abtest-section-header">
                         <span class="abtest-section-title">Results</span>
+                        <button class="abtest-btn abtest-btn-secondary" id="abtest-diff-responses" style="display: none;">
+                            <i class="fa-solid fa-code-compare"></i> Diff responses
+                        </button>
                     </div>
-                    <div class="abtest-results-grid">
-                        <div class="abtest-result-panel">
-                            <div class="abtest-result-label">Response A</div>
-                            <div class="abtest-result-content" id="abtest-result-a"></div>
-                        </div>
-                        <div class="abtest-result-panel">
-                            <div class="abtest-result-label">Response B</div>
-                            <div class="abtest-result-content" id="abtest-result-b"></div>
+                    <div class="abtest-results-grid" id="abtest-results-grid"></div>
+                    <div class="abtest-suite-matrix" id="abtest-suite-matrix" style="display: none;"></div>
+                    <div class="abtest-vote" id="abtest-vote" style="display: none;"></div>
+                    <div class="abtest-judge" id="abtest-judge" style="display: none;"></div>
+                    <div class="abtest-response-diff" id="abtest-response-diff" style="display: none;"></div>
+                </div>
+                
+                <div class="abtest-section">
+                    <div class="abtest-section-header">
+                        <span class="abtest-section-title">History</span>
+                        <div class="abtest-history-controls">
+                            <select class="abtest-select" id="abtest-history-filter">
+                                ${renderHistoryFilterOptions(currentRuns, 'all')}
+                            </select>
+                            <button class="abtest-btn abtest-btn-secondary" id="abtest-history-prune" title="Delete old runs">
+                                <i class="fa-solid fa-broom"></i> Delete Old
+                            </button>
                         </div>
                     </div>
+                    <div class="abtest-blind-note">Run history is hidden until you vote</div>
+                    <div class="abtest-history-list" id="abtest-history-list">
+                        ${renderHistoryList(currentRuns, 'all')}
+                    </div>
                 </div>
             </div>
         </div>
@@ -512,23 +1784,173 @@ async function showMainModal() {
     }, 100);
 }
 
-let selectedSlotA = null;
-let selectedSlotB = null;
+let selectedSlots = [];
+let baselineSlotIndex = 0;
 
 async function loadSnapshots() {
     try {
         currentSnapshots = await getAllSnapshots();
+        snapshotTags = await getAllSnapshotTags();
     } catch (error) {
         console.error(`[${EXTENSION_NAME}] Failed to load snapshots:`, error);
         currentSnapshots = [];
+        snapshotTags = [];
+    }
+    await warmTokenCounts(currentSnapshots);
+}
+
+function getDefaultParentId(presetName) {
+    if (liveParentId !== null && currentSnapshots.some(s => s.id === liveParentId)) {
+        return liveParentId;
+    }
+    
+    return getLatestSnapshotId(presetName);
+}
+
+function getLatestSnapshotId(presetName) {
+    const latest = currentSnapshots
+        .filter(s => s.presetName === presetName)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+    return latest?.id ?? null;
+}
+
+async function saveRevision(state, parentId = undefined) {
+    await loadSnapshots();
+    state.parentId = parentId === undefined ? getDefaultParentId(state.presetName) : parentId;
+    state.contentHash = getContentHash(state);
+    
+    const id = await saveSnapshot(state);
+    liveParentId = id;
+    return id;
+}
+
+async function reparentChildren(snapshot) {
+    for (const child of currentSnapshots.filter(s => s.parentId === snapshot.id)) {
+        child.parentId = snapshot.parentId ?? null;
+        await updateSnapshot(child);
+    }
+    if (liveParentId === snapshot.id) {
+        liveParentId = snapshot.parentId ?? null;
+    }
+}
+
+function isAutoSnapshot(snapshot) {
+    return snapshot.auto === true;
+}
+
+async function pruneAutoSnapshots() {
+    const retention = getSettings().autoSnapshotRetention;
+    const expired = currentSnapshots
+        .filter(isAutoSnapshot)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(retention);
+    
+    for (const snapshot of expired) {
+        await reparentChildren(snapshot);
+        await deleteSnapshot(snapshot.id);
+    }
+    return expired.length;
+}
+
+async function takeAutoSnapshot(reason) {
+    if (!getSettings().autoSnapshotEnabled || promptStateActive || !db) return;
+    
+    const state = captureCurrentPromptState();
+    if (!state) return;
+    
+    await loadSnapshots();
+    const latest = currentSnapshots
+        .filter(s => s.presetName === state.presetName)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+    if (latest && (latest.contentHash || getContentHash(latest)) === getContentHash(state)) return;
+    
+    state.name = `[Auto] ${state.name}`;
+    state.auto = true;
+    state.notes = reason;
+    await saveRevision(state);
+    
+    await loadSnapshots();
+    if (await pruneAutoSnapshots() > 0) {
+        await loadSnapshots();
     }
+    refreshSnapshotsList();
+}
+
+function queueAutoSnapshot(reason) {
+    autoSnapshotQueue = autoSnapshotQueue
+        .then(() => takeAutoSnapshot(reason))
+        .catch(error => console.error(`[${EXTENSION_NAME}] Auto-snapshot failed:`, error));
+    return autoSnapshotQueue;
+}
+
+function scheduleAutoSnapshot(reason) {
+    if (!getSettings().autoSnapshotEnabled || promptStateActive) return;
+    
+    clearTimeout(autoSnapshotTimer);
+    autoSnapshotTimer = setTimeout(() => {
+        autoSnapshotTimer = null;
+        queueAutoSnapshot(reason);
+    }, AUTO_SNAPSHOT_DEBOUNCE_MS);
+}
+
+function registerAutoSnapshotListeners() {
+    eventSource.on(event_types.OAI_PRESET_CHANGED_BEFORE, async () => {
+        if (!getSettings().autoSnapshotEnabled) return;
+        
+        clearTimeout(autoSnapshotTimer);
+        autoSnapshotTimer = null;
+        await queueAutoSnapshot('Before preset change');
+    });
+    
+    eventSource.on(event_types.OAI_PRESET_CHANGED_AFTER, () => {
+        scheduleAutoSnapshot('After preset change');
+    });
+    
+    eventSource.on(event_types.SETTINGS_UPDATED, () => {
+        if (Date.now() < ignoreSettingsUpdateUntil) return;
+        scheduleAutoSnapshot('Settings updated');
+    });
 }
 
 function setupModalEventHandlers(currentState) {
     const saveBtn = document.getElementById('abtest-save-snapshot');
+    const importBtn = document.getElementById('abtest-import-snapshots');
+    const importFileInput = document.getElementById('abtest-import-file');
+    const exportAllBtn = document.getElementById('abtest-export-all');
+    const fromPresetBtn = document.getElementById('abtest-snapshot-from-preset');
+    const timelineBtn = document.getElementById('abtest-snapshot-timeline');
+    const autoSnapshotInput = document.getElementById('abtest-auto-snapshot');
+    const autoRetentionInput = document.getElementById('abtest-auto-retention');
+    const undoRestoreBtn = document.getElementById('abtest-undo-restore');
+    const redoRestoreBtn = document.getElementById('abtest-redo-restore');
     const useCurrentBtn = document.getElementById('abtest-use-current');
+    const clearSlotsBtn = document.getElementById('abtest-clear-slots');
+    const diffAssembledBtn = document.getElementById('abtest-diff-assembled');
+    const orderScopeSelect = document.getElementById('abtest-order-scope');
+    const compareSlots = document.getElementById('abtest-compare-slots');
     const runTestBtn = document.getElementById('abtest-run-test');
+    const suiteSelect = document.getElementById('abtest-suite-select');
+    const newSuiteBtn = document.getElementById('abtest-suite-new');
+    const editSuiteBtn = document.getElementById('abtest-suite-edit');
+    const deleteSuiteBtn = document.getElementById('abtest-suite-delete');
+    const runSuiteBtn = document.getElementById('abtest-run-suite');
+    const voteStatsBtn = document.getElementById('abtest-vote-stats');
+    const editChecksBtn = document.getElementById('abtest-edit-checks');
+    const leaderboardBtn = document.getElementById('abtest-leaderboard');
+    const judgeEnabledInput = document.getElementById('abtest-judge-enabled');
+    const timeoutInput = document.getElementById('abtest-timeout');
+    const parallelInput = document.getElementById('abtest-parallel');
+    const stopTestBtn = document.getElementById('abtest-stop-test');
+    const editRubricBtn = document.getElementById('abtest-edit-rubric');
+    const diffResponsesBtn = document.getElementById('abtest-diff-responses');
+    const historyList = document.getElementById('abtest-history-list');
+    const historyFilter = document.getElementById('abtest-history-filter');
+    const historyPruneBtn = document.getElementById('abtest-history-prune');
     const snapshotsList = document.getElementById('abtest-snapshots-list');
+    const snapshotSearch = document.getElementById('abtest-snapshot-search');
+    const snapshotTagFilter = document.getElementById('abtest-snapshot-tag-filter');
+    const snapshotSource = document.getElementById('abtest-snapshot-source');
+    const snapshotSort = document.getElementById('abtest-snapshot-sort');
     const presetSelect = document.getElementById('abtest-preset-select');
     const applyPresetBtn = document.getElementById('abtest-apply-preset');
     const saveAfterSwitchBtn = document.getElementById('abtest-save-after-switch');
@@ -574,10 +1996,10 @@ function setupModalEventHandlers(currentState) {
                 
                 const state = captureCurrentPromptState();
                 if (state) {
-                    const name = await promptForName();
-                    if (name) {
-                        state.name = name;
-                        await saveSnapshot(state);
+                    const details = await promptForSnapshotSave(state);
+                    if (details) {
+                        state.name = details.name;
+                        await saveRevision(state, details.parentId);
                         await loadSnapshots();
                         refreshSnapshotsList();
                         toastr.success(`Switched to ${selectedPreset} and saved snapshot`);
@@ -596,10 +2018,10 @@ function setupModalEventHandlers(currentState) {
     saveBtn?.addEventListener('click', async () => {
         const state = captureCurrentPromptState();
         if (state) {
-            const name = await promptForName();
-            if (name) {
-                state.name = name;
-                await saveSnapshot(state);
+            const details = await promptForSnapshotSave(state);
+            if (details) {
+                state.name = details.name;
+                await saveRevision(state, details.parentId);
                 await loadSnapshots();
                 refreshSnapshotsList();
                 toastr.success('Snapshot saved');
@@ -608,150 +2030,2738 @@ function setupModalEventHandlers(currentState) {
     });
     
     useCurrentBtn?.addEventListener('click', () => {
-        selectedSlotB = { ...currentState, name: 'Current Config' };
-        updateSlotDisplay('b', selectedSlotB);
+        currentState = captureCurrentPromptState() || currentState;
+        const currentSlot = { ...currentState, name: 'Current Config', isCurrent: true };
+        const existingIndex = selectedSlots.findIndex(slot => slot.isCurrent);
+        if (existingIndex >= 0) {
+            selectedSlots[existingIndex] = currentSlot;
+        } else {
+            selectedSlots.push(currentSlot);
+        }
+        refreshSlots();
         updateDiffDisplay();
     });
     
-    runTestBtn?.addEventListener('click', async () => {
-        await runABTest();
+    orderScopeSelect?.addEventListener('change', () => {
+        setOrderScope(orderScopeSelect.value);
+        refreshSnapshotsList();
+        updateDiffDisplay();
     });
     
-    snapshotsList?.addEventListener('click', async (e) => {
-        const selectBtn = e.target.closest('.abtest-select-btn');
-        const deleteBtn = e.target.closest('.abtest-delete-btn');
-        const viewBtn = e.target.closest('.abtest-view-btn');
-        const card = e.target.closest('.abtest-snapshot-card');
-        
-        if (viewBtn) {
-            const id = parseInt(viewBtn.dataset.id);
-            const snapshot = currentSnapshots.find(s => s.id === id);
-            if (snapshot) {
-                showPromptViewer(snapshot);
+    clearSlotsBtn?.addEventListener('click', () => {
+        selectedSlots = [];
+        baselineSlotIndex = 0;
+        refreshSlots();
+        updateDiffDisplay();
+        refreshSnapshotsList();
+    });
+    
+    compareSlots?.addEventListener('click', async (e) => {
+        const previewBtn = e.target.closest('.abtest-slot-preview-btn');
+        if (previewBtn) {
+            const slotIndex = parseInt(previewBtn.dataset.slotIndex);
+            if (selectedSlots[slotIndex]) {
+                await showAssembledPrompt(selectedSlots[slotIndex], getSlotLabel(slotIndex));
             }
             return;
         }
         
-        if (deleteBtn) {
-            const id = parseInt(deleteBtn.dataset.id);
-            if (confirm('Delete this snapshot?')) {
-                await deleteSnapshot(id);
-                await loadSnapshots();
-                refreshSnapshotsList();
-                
-                if (selectedSlotA?.id === id) {
-                    selectedSlotA = null;
-                    updateSlotDisplay('a', null);
-                }
-                if (selectedSlotB?.id === id) {
-                    selectedSlotB = null;
-                    updateSlotDisplay('b', null);
-                }
-                updateDiffDisplay();
-            }
+        const baselineBtn = e.target.closest('.abtest-slot-baseline-btn');
+        const moveBtn = e.target.closest('.abtest-slot-move-btn');
+        const removeBtn = e.target.closest('.abtest-slot-remove-btn');
+        
+        if (baselineBtn) {
+            baselineSlotIndex = parseInt(baselineBtn.dataset.slotIndex);
+        } else if (moveBtn) {
+            moveSlotLeft(parseInt(moveBtn.dataset.slotIndex));
+        } else if (removeBtn) {
+            removeSlot(parseInt(removeBtn.dataset.slotIndex));
+        } else {
             return;
         }
         
-        if (selectBtn || card) {
-            const cardEl = selectBtn ? selectBtn.closest('.abtest-snapshot-card') : card;
-            const id = parseInt(cardEl.dataset.id);
-            const snapshot = currentSnapshots.find(s => s.id === id);
-            
-            if (!snapshot) return;
-            
-            if (!selectedSlotA || (selectedSlotA && selectedSlotB)) {
-                selectedSlotA = snapshot;
-                selectedSlotB = null;
-                updateSlotDisplay('a', selectedSlotA);
-                updateSlotDisplay('b', null);
-            } else {
-                selectedSlotB = snapshot;
-                updateSlotDisplay('b', selectedSlotB);
-            }
-            
-            updateDiffDisplay();
-            refreshSnapshotsList();
+        refreshSlots();
+        updateDiffDisplay();
+        refreshSnapshotsList();
+    });
+    
+    updateDiffDisplay();
+    
+    diffAssembledBtn?.addEventListener('click', async () => {
+        diffAssembledBtn.disabled = true;
+        try {
+            await showAssembledPromptDiff();
+        } finally {
+            diffAssembledBtn.disabled = false;
         }
     });
-}
-
-function refreshSnapshotsList() {
-    const list = document.getElementById('abtest-snapshots-list');
-    if (!list) return;
     
-    if (currentSnapshots.length === 0) {
-        list.innerHTML = '<div class="abtest-empty">No snapshots saved yet</div>';
-        return;
-    }
+    runTestBtn?.addEventListener('click', async () => {
+        await runABTest();
+    });
     
-    list.innerHTML = currentSnapshots.map((s, i) => {
-        const isSelectedA = selectedSlotA?.id === s.id;
-        const isSelectedB = selectedSlotB?.id === s.id;
-        return createSnapshotCard(s, i, isSelectedA || isSelectedB);
-    }).join('');
-}
-
-function updateSlotDisplay(slot, snapshot) {
-    const content = document.getElementById(`abtest-slot-${slot}-content`);
-    if (!content) return;
+    newSuiteBtn?.addEventListener('click', async () => {
+        await showSuiteEditor();
+    });
     
-    if (!snapshot) {
-        content.innerHTML = `<span class="abtest-slot-empty">Select a snapshot${slot === 'b' ? ' or use current' : ''}</span>`;
-    } else {
-        const presetInfo = snapshot.presetName ? `<span class="abtest-slot-preset">${escapeHtml(snapshot.presetName)}</span>` : '';
-        content.innerHTML = `
-            <div class="abtest-slot-selected">
-                <i class="fa-solid fa-camera"></i>
-                <div class="abtest-slot-info">
-                    <span class="abtest-slot-name">${escapeHtml(snapshot.name)}</span>
-                    ${presetInfo}
-                </div>
-            </div>
-        `;
-    }
-}
-
-function showPromptViewer(snapshot) {
-    const activePrompts = [];
+    editSuiteBtn?.addEventListener('click', async () => {
+        const suite = getSelectedSuite();
+        if (!suite) {
+            toastr.warning('Please select a test suite');
+            return;
+        }
+        await showSuiteEditor(suite);
+    });
     
-    for (const orderEntry of snapshot.promptOrder) {
-        if (!orderEntry.order) continue;
-        
-        for (const item of orderEntry.order) {
-            const prompt = snapshot.prompts.find(p => p.identifier === item.identifier);
-            if (prompt && !prompt.marker) {
-                activePrompts.push({
-                    ...prompt,
-                    enabled: item.enabled
-                });
-            }
+    deleteSuiteBtn?.addEventListener('click', async () => {
+        const suite = getSelectedSuite();
+        if (!suite) {
+            toastr.warning('Please select a test suite');
+            return;
         }
-    }
+        if (confirm(`Delete test suite "${suite.name}"?`)) {
+            await deleteSuite(suite.id);
+            await loadSuites();
+            refreshSuiteSelect();
+        }
+    });
     
-    const promptsHtml = activePrompts.map(p => `
-        <div class="abtest-prompt-item ${p.enabled ? '' : 'abtest-prompt-disabled'}">
-            <div class="abtest-prompt-header">
-                <span class="abtest-prompt-name">${escapeHtml(p.name || p.identifier)}</span>
-                <span class="abtest-prompt-status">${p.enabled ? 'ON' : 'OFF'}</span>
-            </div>
-            <div class="abtest-prompt-role">${p.role || 'system'}</div>
-            <div class="abtest-prompt-content">${escapeHtml(p.content || '(empty)')}</div>
-        </div>
-    `).join('');
+    runSuiteBtn?.addEventListener('click', async () => {
+        await runTestSuite(getSelectedSuite());
+    });
     
-    const viewerContent = `
-        <div class="abtest-viewer">
+    voteStatsBtn?.addEventListener('click', async () => {
+        await showVoteStats();
+    });
+    
+    leaderboardBtn?.addEventListener('click', async () => {
+        await showLeaderboard();
+    });
+    
+    editChecksBtn?.addEventListener('click', async () => {
+        await showChecksEditor();
+    });
+    
+    judgeEnabledInput?.addEventListener('change', () => {
+        getSettings().judgeEnabled = judgeEnabledInput.checked;
+        saveOwnSettings();
+    });
+    
+    editRubricBtn?.addEventListener('click', async () => {
+        await showRubricEditor();
+    });
+    
+    timeoutInput?.addEventListener('change', () => {
+        const value = parseInt(timeoutInput.value);
+        getSettings().slotTimeoutSeconds = isNaN(value) || value < 0 ? 0 : value;
+        timeoutInput.value = getSettings().slotTimeoutSeconds;
+        saveOwnSettings();
+    });
+    
+    parallelInput?.addEventListener('change', () => {
+        getSettings().parallelMode = parallelInput.checked;
+        saveOwnSettings();
+    });
+    
+    stopTestBtn?.addEventListener('click', () => {
+        stopRun();
+    });
+    
+    diffResponsesBtn?.addEventListener('click', () => {
+        toggleResponseDiff();
+    });
+    
+    historyFilter?.addEventListener('change', () => {
+        refreshHistoryList();
+    });
+    
+    historyPruneBtn?.addEventListener('click', async () => {
+        await pruneOldRuns();
+    });
+    
+    historyList?.addEventListener('click', async (e) => {
+        const openBtn = e.target.closest('.abtest-history-open-btn');
+        const deleteBtn = e.target.closest('.abtest-history-delete-btn');
+        
+        if (openBtn) {
+            const id = parseInt(openBtn.dataset.id);
+            const run = currentRuns.find(r => r.id === id);
+            if (run) {
+                showRunViewer(run);
+            }
+            return;
+        }
+        
+        if (deleteBtn) {
+            const id = parseInt(deleteBtn.dataset.id);
+            if (confirm('Delete this test run?')) {
+                await deleteRun(id);
+                await loadRuns();
+                refreshHistoryList();
+            }
+        }
+    });
+    
+    exportAllBtn?.addEventListener('click', () => {
+        if (currentSnapshots.length === 0) {
+            toastr.warning('No snapshots to export');
+            return;
+        }
+        exportSnapshots(currentSnapshots, 'ab-test-snapshots');
+    });
+    
+    undoRestoreBtn?.addEventListener('click', async () => {
+        await undoRestore();
+    });
+    
+    redoRestoreBtn?.addEventListener('click', async () => {
+        await redoRestore();
+    });
+    
+    autoSnapshotInput?.addEventListener('change', () => {
+        getSettings().autoSnapshotEnabled = autoSnapshotInput.checked;
+        saveOwnSettings();
+    });
+    
+    autoRetentionInput?.addEventListener('change', async () => {
+        const value = parseInt(autoRetentionInput.value);
+        getSettings().autoSnapshotRetention = isNaN(value) || value < 1 ? DEFAULT_SETTINGS.autoSnapshotRetention : value;
+        autoRetentionInput.value = getSettings().autoSnapshotRetention;
+        saveOwnSettings();
+        
+        if (await pruneAutoSnapshots() > 0) {
+            await loadSnapshots();
+            refreshSnapshotsList();
+        }
+    });
+    
+    timelineBtn?.addEventListener('click', () => {
+        showTimeline(getCurrentPresetName());
+    });
+    
+    fromPresetBtn?.addEventListener('click', async () => {
+        await showPresetSnapshotDialog();
+    });
+    
+    importBtn?.addEventListener('click', () => {
+        importFileInput?.click();
+    });
+    
+    importFileInput?.addEventListener('change', async () => {
+        const file = importFileInput.files?.[0];
+        importFileInput.value = '';
+        if (file) {
+            await importSnapshotsFromFile(file);
+        }
+    });
+    
+    snapshotSearch?.addEventListener('input', () => {
+        snapshotFilter.query = snapshotSearch.value;
+        refreshSnapshotsList();
+    });
+    
+    snapshotTagFilter?.addEventListener('change', () => {
+        snapshotFilter.tag = snapshotTagFilter.value;
+        refreshSnapshotsList();
+    });
+    
+    snapshotSource?.addEventListener('change', () => {
+        snapshotFilter.source = snapshotSource.value;
+        refreshSnapshotsList();
+    });
+    
+    snapshotSort?.addEventListener('change', () => {
+        snapshotFilter.sort = snapshotSort.value;
+        refreshSnapshotsList();
+    });
+    
+    snapshotsList?.addEventListener('click', async (e) => {
+        const editBtn = e.target.closest('.abtest-edit-btn');
+        const tagChip = e.target.closest('.abtest-tag');
+        
+        if (editBtn) {
+            const snapshot = currentSnapshots.find(s => s.id === parseInt(editBtn.dataset.id));
+            if (snapshot) {
+                await showSnapshotDetailsEditor(snapshot);
+            }
+            return;
+        }
+        
+        if (tagChip) {
+            snapshotFilter.tag = tagChip.dataset.tag;
+            refreshSnapshotsList();
+            return;
+        }
+        
+        const selectBtn = e.target.closest('.abtest-select-btn');
+        const deleteBtn = e.target.closest('.abtest-delete-btn');
+        const viewBtn = e.target.closest('.abtest-view-btn');
+        const exportBtn = e.target.closest('.abtest-export-btn');
+        const restoreBtn = e.target.closest('.abtest-restore-btn');
+        const savePresetBtn = e.target.closest('.abtest-save-preset-btn');
+        const card = e.target.closest('.abtest-snapshot-card');
+        
+        if (viewBtn) {
+            const id = parseInt(viewBtn.dataset.id);
+            const snapshot = currentSnapshots.find(s => s.id === id);
+            if (snapshot) {
+                showPromptViewer(snapshot);
+            }
+            return;
+        }
+        
+        if (restoreBtn) {
+            const id = parseInt(restoreBtn.dataset.id);
+            const snapshot = currentSnapshots.find(s => s.id === id);
+            if (snapshot && confirm(`Restore "${snapshot.name}" as the live prompt configuration?`)) {
+                await restoreSnapshot(snapshot);
+            }
+            return;
+        }
+        
+        if (savePresetBtn) {
+            const id = parseInt(savePresetBtn.dataset.id);
+            const snapshot = currentSnapshots.find(s => s.id === id);
+            if (snapshot) {
+                await saveSnapshotAsPreset(snapshot);
+            }
+            return;
+        }
+        
+        if (exportBtn) {
+            const id = parseInt(exportBtn.dataset.id);
+            const snapshot = currentSnapshots.find(s => s.id === id);
+            if (snapshot) {
+                exportSnapshots([snapshot], `ab-test-${snapshot.name}`);
+            }
+            return;
+        }
+        
+        if (deleteBtn) {
+            const id = parseInt(deleteBtn.dataset.id);
+            if (confirm('Delete this snapshot?')) {
+                const snapshot = currentSnapshots.find(s => s.id === id);
+                if (snapshot) {
+                    await reparentChildren(snapshot);
+                }
+                await deleteSnapshot(id);
+                await loadSnapshots();
+                refreshSnapshotsList();
+                
+                const slotIndex = selectedSlots.findIndex(slot => slot.id === id);
+                if (slotIndex >= 0) {
+                    removeSlot(slotIndex);
+                    refreshSlots();
+                }
+                updateDiffDisplay();
+            }
+            return;
+        }
+        
+        if (selectBtn || card) {
+            const cardEl = selectBtn ? selectBtn.closest('.abtest-snapshot-card') : card;
+            const id = parseInt(cardEl.dataset.id);
+            const snapshot = currentSnapshots.find(s => s.id === id);
+            
+            if (!snapshot) return;
+            
+            const slotIndex = selectedSlots.findIndex(slot => slot.id === id);
+            if (slotIndex >= 0) {
+                removeSlot(slotIndex);
+            } else {
+                selectedSlots.push(snapshot);
+            }
+            
+            refreshSlots();
+            updateDiffDisplay();
+            refreshSnapshotsList();
+        }
+    });
+}
+
+function getVisibleSnapshots() {
+    const query = snapshotFilter.query.trim().toLowerCase();
+    const sort = SNAPSHOT_SORTS[snapshotFilter.sort] || SNAPSHOT_SORTS.date_desc;
+    
+    return currentSnapshots
+        .filter(snapshot => !snapshotFilter.tag || snapshot.tags?.includes(snapshotFilter.tag))
+        .filter(snapshot => !snapshotFilter.source || isAutoSnapshot(snapshot) === (snapshotFilter.source === 'auto'))
+        .filter(snapshot => !query || [snapshot.name, snapshot.presetName, snapshot.notes, ...(snapshot.tags || [])]
+            .some(value => value && value.toLowerCase().includes(query)))
+        .sort(sort.compare);
+}
+
+function renderSnapshotsList() {
+    if (currentSnapshots.length === 0) {
+        return '<div class="abtest-empty">No snapshots saved yet</div>';
+    }
+    
+    const visible = getVisibleSnapshots();
+    if (visible.length === 0) {
+        return '<div class="abtest-empty">No snapshots match the filter</div>';
+    }
+    
+    return visible.map((s, i) => {
+        const isSelected = selectedSlots.some(slot => slot.id === s.id);
+        return createSnapshotCard(s, i, isSelected);
+    }).join('');
+}
+
+function renderTagFilterOptions() {
+    if (snapshotFilter.tag && !snapshotTags.includes(snapshotFilter.tag)) {
+        snapshotFilter.tag = '';
+    }
+    
+    return [
+        '<option value="">All tags</option>',
+        ...snapshotTags.map(tag => `<option value="${escapeHtml(tag)}" ${tag === snapshotFilter.tag ? 'selected' : ''}>#${escapeHtml(tag)}</option>`),
+    ].join('');
+}
+
+function refreshSnapshotsList() {
+    const list = document.getElementById('abtest-snapshots-list');
+    if (!list) return;
+    
+    const tagFilter = document.getElementById('abtest-snapshot-tag-filter');
+    if (tagFilter) {
+        tagFilter.innerHTML = renderTagFilterOptions();
+    }
+    list.innerHTML = renderSnapshotsList();
+}
+
+function parseTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))];
+}
+
+function getDescendantIds(id) {
+    const descendants = new Set();
+    const queue = [id];
+    
+    while (queue.length > 0) {
+        const parentId = queue.shift();
+        for (const snapshot of currentSnapshots) {
+            if (snapshot.parentId === parentId && !descendants.has(snapshot.id)) {
+                descendants.add(snapshot.id);
+                queue.push(snapshot.id);
+            }
+        }
+    }
+    return descendants;
+}
+
+function renderTimelineNode(snapshot, childrenMap, byId, visited) {
+    if (visited.has(snapshot.id)) return '';
+    visited.add(snapshot.id);
+    
+    const parent = byId.get(snapshot.parentId);
+    const changeCount = parent ? getPromptDifferences(parent, snapshot).length : 0;
+    const edge = parent ? `
+        <button class="abtest-timeline-edge" data-parent-id="${parent.id}" data-child-id="${snapshot.id}" title="Show changes from parent">
+            <i class="fa-solid fa-code-commit"></i>
+            ${changeCount === 0 ? 'No changes' : `${changeCount} change${changeCount === 1 ? '' : 's'}`}
+            ${parent.presetName !== snapshot.presetName ? `from ${escapeHtml(parent.name)} [${escapeHtml(parent.presetName || 'Unknown')}]` : ''}
+        </button>
+    ` : '';
+    
+    const children = childrenMap.get(snapshot.id) || [];
+    return `
+        <li class="abtest-timeline-node">
+            ${edge}
+            <div class="abtest-timeline-item">
+                <span class="abtest-timeline-dot"></span>
+                <span class="abtest-snapshot-name">${escapeHtml(snapshot.name)}</span>
+                <span class="abtest-timeline-date">${new Date(snapshot.timestamp).toLocaleString()}</span>
+                ${(snapshot.tags || []).map(tag => `<span class="abtest-tag">#${escapeHtml(tag)}</span>`).join('')}
+            </div>
+            ${snapshot.notes ? `<div class="abtest-snapshot-notes">${escapeHtml(snapshot.notes)}</div>` : ''}
+            ${children.length > 0 ? `<ul class="abtest-timeline-children">${children.map(child => renderTimelineNode(child, childrenMap, byId, visited)).join('')}</ul>` : ''}
+        </li>
+    `;
+}
+
+function renderTimeline(presetName) {
+    const byId = new Map(currentSnapshots.map(s => [s.id, s]));
+    const snapshots = currentSnapshots
+        .filter(s => s.presetName === presetName)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    
+    if (snapshots.length === 0) {
+        return '<div class="abtest-empty">No snapshots for this preset</div>';
+    }
+    
+    const presetIds = new Set(snapshots.map(s => s.id));
+    const childrenMap = new Map();
+    const roots = [];
+    
+    for (const snapshot of snapshots) {
+        if (presetIds.has(snapshot.parentId) && snapshot.parentId !== snapshot.id) {
+            if (!childrenMap.has(snapshot.parentId)) {
+                childrenMap.set(snapshot.parentId, []);
+            }
+            childrenMap.get(snapshot.parentId).push(snapshot);
+        } else {
+            roots.push(snapshot);
+        }
+    }
+    
+    const visited = new Set();
+    const treeHtml = roots.map(root => renderTimelineNode(root, childrenMap, byId, visited)).join('');
+    const orphanHtml = snapshots
+        .filter(s => !visited.has(s.id))
+        .map(s => renderTimelineNode(s, childrenMap, byId, visited))
+        .join('');
+    
+    return `<ul class="abtest-timeline">${treeHtml}${orphanHtml}</ul>`;
+}
+
+function showLineageDiff(parent, child) {
+    const group = {
+        baseline: parent,
+        baselineLabel: 'Parent',
+        target: child,
+        targetLabel: 'Child',
+        differences: getPromptDifferences(parent, child),
+    };
+    
+    const content = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">${escapeHtml(parent.name)} → ${escapeHtml(child.name)}</span>
+                <span class="abtest-viewer-preset">${new Date(parent.timestamp).toLocaleString()} → ${new Date(child.timestamp).toLocaleString()}</span>
+            </div>
+            <div class="abtest-viewer-body abtest-diff-list">${renderDifferences(group.differences)}</div>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    popup.dlg.addEventListener('click', (e) => {
+        const item = e.target.closest('.abtest-diff-clickable');
+        const diff = group.differences[parseInt(item?.dataset.diffIndex)];
+        if (diff) {
+            showDiffCompareModal(diff, group);
+        }
+    });
+    
+    popup.show();
+}
+
+async function showTimeline(presetName) {
+    await loadSnapshots();
+    
+    const presetNames = [...new Set(currentSnapshots.map(s => s.presetName))].sort();
+    const selectedPreset = presetNames.includes(presetName) ? presetName : presetNames[0];
+    
+    const content = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">Snapshot Timeline</span>
+                <select class="abtest-select" id="abtest-timeline-preset">
+                    ${presetNames.map(name => `<option value="${escapeHtml(name)}" ${name === selectedPreset ? 'selected' : ''}>${escapeHtml(name || 'Unknown')}</option>`).join('')}
+                </select>
+            </div>
+            <div class="abtest-viewer-body" id="abtest-timeline-body">
+                ${presetNames.length > 0 ? renderTimeline(selectedPreset) : '<div class="abtest-empty">No snapshots saved yet</div>'}
+            </div>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    const presetSelect = popup.dlg.querySelector('#abtest-timeline-preset');
+    presetSelect?.addEventListener('change', () => {
+        popup.dlg.querySelector('#abtest-timeline-body').innerHTML = renderTimeline(presetSelect.value);
+    });
+    
+    popup.dlg.addEventListener('click', (e) => {
+        const edge = e.target.closest('.abtest-timeline-edge');
+        if (!edge) return;
+        
+        const parent = currentSnapshots.find(s => s.id === parseInt(edge.dataset.parentId));
+        const child = currentSnapshots.find(s => s.id === parseInt(edge.dataset.childId));
+        if (parent && child) {
+            showLineageDiff(parent, child);
+        }
+    });
+    
+    popup.show();
+}
+
+function renderParentOptions(selectedId, excluded = new Set()) {
+    return [
+        '<option value="">(none)</option>',
+        ...currentSnapshots
+            .filter(s => !excluded.has(s.id))
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(s => `<option value="${s.id}" ${s.id === selectedId ? 'selected' : ''}>${escapeHtml(s.name)} [${escapeHtml(s.presetName || 'Unknown')}]</option>`),
+    ].join('');
+}
+
+async function showSnapshotDetailsEditor(snapshot) {
+    const excluded = getDescendantIds(snapshot.id);
+    excluded.add(snapshot.id);
+    const parentOptions = renderParentOptions(snapshot.parentId, excluded);
+    
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">Edit Snapshot</div>
+            <label class="abtest-preset-import-field">
+                <span>Name</span>
+                <input type="text" class="text_pole" id="abtest-edit-name" value="${escapeHtml(snapshot.name)}">
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Tags (comma-separated)</span>
+                <input type="text" class="text_pole" id="abtest-edit-tags" value="${escapeHtml((snapshot.tags || []).join(', '))}">
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Notes</span>
+                <textarea class="abtest-input" id="abtest-edit-notes" placeholder="What was being tested?">${escapeHtml(snapshot.notes || '')}</textarea>
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Parent snapshot</span>
+                <select class="abtest-select" id="abtest-edit-parent">${parentOptions}</select>
+            </label>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        okButton: 'Save',
+        cancelButton: 'Cancel'
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const name = popup.dlg.querySelector('#abtest-edit-name')?.value?.trim();
+    if (!name) {
+        toastr.warning('Snapshot name cannot be empty');
+        return;
+    }
+    
+    const updated = {
+        ...snapshot,
+        name,
+        tags: parseTags(popup.dlg.querySelector('#abtest-edit-tags')?.value || ''),
+        notes: popup.dlg.querySelector('#abtest-edit-notes')?.value?.trim() || '',
+        parentId: parseInt(popup.dlg.querySelector('#abtest-edit-parent')?.value) || null,
+    };
+    
+    await updateSnapshot(updated);
+    await loadSnapshots();
+    selectedSlots = selectedSlots.map(slot => slot.id === updated.id ? updated : slot);
+    refreshSnapshotsList();
+    refreshSlots();
+    updateDiffDisplay();
+    toastr.success('Snapshot updated');
+}
+
+function getSlotLabel(index) {
+    return index < 26 ? String.fromCharCode(65 + index) : String(index + 1);
+}
+
+function removeSlot(index) {
+    selectedSlots.splice(index, 1);
+    if (index < baselineSlotIndex) {
+        baselineSlotIndex--;
+    } else if (index === baselineSlotIndex) {
+        baselineSlotIndex = 0;
+    }
+}
+
+function moveSlotLeft(index) {
+    if (index <= 0 || index >= selectedSlots.length) return;
+    
+    [selectedSlots[index - 1], selectedSlots[index]] = [selectedSlots[index], selectedSlots[index - 1]];
+    if (baselineSlotIndex === index) {
+        baselineSlotIndex = index - 1;
+    } else if (baselineSlotIndex === index - 1) {
+        baselineSlotIndex = index;
+    }
+}
+
+function renderSlots() {
+    if (selectedSlots.length === 0) {
+        return '<div class="abtest-slot-empty">Click snapshots above to add them as comparison slots</div>';
+    }
+    
+    return selectedSlots.map((snapshot, index) => {
+        const isBaseline = index === baselineSlotIndex;
+        const presetInfo = snapshot.presetName ? `<span class="abtest-slot-preset">${escapeHtml(snapshot.presetName)}</span>` : '';
+        return `
+            <div class="abtest-slot ${isBaseline ? 'abtest-slot-baseline' : ''}">
+                <div class="abtest-slot-label">${getSlotLabel(index)}${isBaseline ? ' · Baseline' : ''}</div>
+                <div class="abtest-slot-content">
+                    <div class="abtest-slot-selected">
+                        <i class="fa-solid ${snapshot.isCurrent ? 'fa-sliders' : 'fa-camera'}"></i>
+                        <div class="abtest-slot-info">
+                            <span class="abtest-slot-name">${escapeHtml(snapshot.name)}</span>
+                            ${presetInfo}
+                        </div>
+                    </div>
+                </div>
+                <div class="abtest-slot-actions">
+                    <button class="abtest-btn-icon abtest-slot-preview-btn" data-slot-index="${index}" title="Preview assembled prompt">
+                        <i class="fa-solid fa-scroll"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-slot-baseline-btn" data-slot-index="${index}" title="Use as baseline" ${isBaseline ? 'disabled' : ''}>
+                        <i class="fa-solid fa-star"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-slot-move-btn" data-slot-index="${index}" title="Move left" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fa-solid fa-arrow-left"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-slot-remove-btn" data-slot-index="${index}" title="Remove">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function refreshSlots() {
+    const container = document.getElementById('abtest-compare-slots');
+    if (!container) return;
+    
+    container.innerHTML = renderSlots();
+}
+
+async function showPromptViewer(snapshot) {
+    await warmTokenCounts([snapshot]);
+    
+    const activePrompts = [];
+    const seen = new Set();
+    
+    for (const orderEntry of getOrderEntries(snapshot)) {
+        for (const item of orderEntry.order) {
+            const prompt = snapshot.prompts.find(p => p.identifier === item.identifier);
+            if (prompt && !prompt.marker && !seen.has(item.identifier)) {
+                seen.add(item.identifier);
+                activePrompts.push({
+                    ...prompt,
+                    enabled: item.enabled
+                });
+            }
+        }
+    }
+    
+    const promptsHtml = activePrompts.map(p => `
+        <div class="abtest-prompt-item ${p.enabled ? '' : 'abtest-prompt-disabled'}">
+            <div class="abtest-prompt-header">
+                <span class="abtest-prompt-name">${escapeHtml(p.name || p.identifier)}</span>
+                <span class="abtest-prompt-tokens">${getCachedTokenCount(p.content) ?? '?'} tokens</span>
+                <span class="abtest-prompt-status">${p.enabled ? 'ON' : 'OFF'}</span>
+            </div>
+            <div class="abtest-prompt-role">${p.role || 'system'}</div>
+            <div class="abtest-prompt-content">${escapeHtml(p.content || '(empty)')}</div>
+        </div>
+    `).join('');
+    
+    const viewerContent = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">${escapeHtml(snapshot.name)}</span>
+                <span class="abtest-viewer-preset">${escapeHtml(snapshot.presetName || 'Unknown')}</span>
+                <span class="abtest-viewer-tokens">${escapeHtml(getOrderScopeLabel(getOrderScope()))} · ${countEnabledTokens(snapshot) ?? '?'} tokens enabled</span>
+            </div>
+            <div class="abtest-viewer-body">
+                ${promptsHtml || '<div class="abtest-empty">No prompts found</div>'}
+            </div>
+        </div>
+    `;
+    
+    const popup = new Popup(viewerContent, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    popup.show();
+}
+
+let currentDiffGroups = [];
+let lastRunSlots = [];
+
+function updateDiffDisplay() {
+    const diffSection = document.getElementById('abtest-diff-section');
+    const diffList = document.getElementById('abtest-diff-list');
+    
+    if (!diffSection || !diffList) return;
+    
+    if (selectedSlots.length >= 2) {
+        const baseline = selectedSlots[baselineSlotIndex];
+        const baselineLabel = getSlotLabel(baselineSlotIndex);
+        
+        currentDiffGroups = [];
+        selectedSlots.forEach((target, index) => {
+            if (index === baselineSlotIndex) return;
+            currentDiffGroups.push({
+                baseline,
+                baselineLabel,
+                target,
+                targetLabel: getSlotLabel(index),
+                differences: getPromptDifferences(baseline, target),
+            });
+        });
+        
+        diffList.innerHTML = currentDiffGroups.map((group, groupIndex) => `
+            <div class="abtest-diff-group" data-group-index="${groupIndex}">
+                <div class="abtest-diff-group-header">
+                    <span class="abtest-slot-tag">${group.baselineLabel}</span>
+                    ${escapeHtml(group.baseline.name)}
+                    <i class="fa-solid fa-arrow-right"></i>
+                    <span class="abtest-slot-tag">${group.targetLabel}</span>
+                    ${escapeHtml(group.target.name)}
+                    <button class="abtest-btn-icon abtest-order-view-btn" title="Order view">
+                        <i class="fa-solid fa-arrow-down-short-wide"></i>
+                    </button>
+                </div>
+                ${renderDifferences(group.differences)}
+            </div>
+        `).join('');
+        diffSection.style.display = 'block';
+        
+        diffList.querySelectorAll('.abtest-order-view-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                const group = currentDiffGroups[parseInt(button.closest('.abtest-diff-group')?.dataset.groupIndex)];
+                if (group) {
+                    showOrderView(group);
+                }
+            });
+        });
+        
+        diffList.querySelectorAll('.abtest-diff-clickable').forEach(item => {
+            item.addEventListener('click', () => {
+                const groupIndex = parseInt(item.closest('.abtest-diff-group')?.dataset.groupIndex);
+                const index = parseInt(item.dataset.diffIndex);
+                const group = currentDiffGroups[groupIndex];
+                if (group && !isNaN(index) && group.differences[index]) {
+                    showDiffCompareModal(group.differences[index], group);
+                }
+            });
+        });
+        
+        warmTokenCounts(selectedSlots).then(added => {
+            if (added) {
+                updateDiffDisplay();
+            }
+        });
+    } else {
+        diffSection.style.display = 'none';
+        currentDiffGroups = [];
+    }
+}
+
+function renderOrderColumn(order, prompts, otherIds, movedIds, side) {
+    return order.map(item => {
+        const prompt = prompts.get(item.identifier);
+        const status = !otherIds.has(item.identifier)
+            ? (side === 'a' ? 'abtest-order-only-a' : 'abtest-order-only-b')
+            : movedIds.has(item.identifier) ? 'abtest-order-moved' : '';
+        return `
+            <div class="abtest-order-row ${status} ${item.enabled ? '' : 'abtest-prompt-disabled'}" style="height: ${ORDER_VIEW_ROW_HEIGHT}px;" title="${escapeHtml(prompt?.role || 'system')}">
+                ${escapeHtml(prompt?.name || item.identifier)}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderOrderLines(orderA, orderB, movedIds) {
+    const indexB = new Map(orderB.map((item, index) => [item.identifier, index]));
+    const height = Math.max(orderA.length, orderB.length) * ORDER_VIEW_ROW_HEIGHT;
+    const center = ORDER_VIEW_ROW_HEIGHT / 2;
+    const middle = ORDER_VIEW_GUTTER_WIDTH / 2;
+    
+    const paths = orderA.map((item, index) => {
+        if (!indexB.has(item.identifier)) return '';
+        
+        const yA = index * ORDER_VIEW_ROW_HEIGHT + center;
+        const yB = indexB.get(item.identifier) * ORDER_VIEW_ROW_HEIGHT + center;
+        const moved = movedIds.has(item.identifier);
+        return `<path d="M0 ${yA} C${middle} ${yA} ${middle} ${yB} ${ORDER_VIEW_GUTTER_WIDTH} ${yB}" class="${moved ? 'abtest-order-line-moved' : 'abtest-order-line'}"/>`;
+    }).join('');
+    
+    return `<svg class="abtest-order-lines" width="${ORDER_VIEW_GUTTER_WIDTH}" height="${height}" viewBox="0 0 ${ORDER_VIEW_GUTTER_WIDTH} ${height}">${paths}</svg>`;
+}
+
+function showOrderView(group) {
+    const promptsA = new Map(group.baseline.prompts.map(p => [p.identifier, p]));
+    const promptsB = new Map(group.target.prompts.map(p => [p.identifier, p]));
+    
+    const sectionsHtml = getOrderPairs(group.baseline, group.target, getOrderScope()).map(({ charId, orderA, orderB }) => {
+        const idsA = new Set(orderA.map(item => item.identifier));
+        const idsB = new Set(orderB.map(item => item.identifier));
+        const movedIds = findMovedIdentifiers(orderA, orderB);
+        
+        return `
+            <div class="abtest-order-section">
+                <div class="abtest-diff-group-title"><i class="fa-solid fa-user"></i> ${escapeHtml(getOrderScopeLabel(charId))}</div>
+                <div class="abtest-order-view" style="grid-template-columns: 1fr ${ORDER_VIEW_GUTTER_WIDTH}px 1fr;">
+                    <div class="abtest-order-column">${renderOrderColumn(orderA, promptsA, idsB, movedIds, 'a')}</div>
+                    ${renderOrderLines(orderA, orderB, movedIds)}
+                    <div class="abtest-order-column">${renderOrderColumn(orderB, promptsB, idsA, movedIds, 'b')}</div>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    const content = `
+        <div class="abtest-compare-modal">
+            <div class="abtest-compare-header">
+                <span class="abtest-compare-title">Prompt Order</span>
+                <span class="abtest-compare-subtitle">${escapeHtml(group.baselineLabel)} · ${escapeHtml(group.baseline.name)} → ${escapeHtml(group.targetLabel)} · ${escapeHtml(group.target.name)}</span>
+            </div>
+            ${sectionsHtml || '<div class="abtest-empty">No shared prompt order in this scope</div>'}
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    popup.show();
+}
+
+function diffSequences(seqA, seqB) {
+    let prefix = 0;
+    while (prefix < seqA.length && prefix < seqB.length && seqA[prefix] === seqB[prefix]) {
+        prefix++;
+    }
+    
+    let suffix = 0;
+    while (suffix < seqA.length - prefix && suffix < seqB.length - prefix
+        && seqA[seqA.length - 1 - suffix] === seqB[seqB.length - 1 - suffix]) {
+        suffix++;
+    }
+    
+    const middleA = seqA.slice(prefix, seqA.length - suffix);
+    const middleB = seqB.slice(prefix, seqB.length - suffix);
+    
+    return [
+        ...seqA.slice(0, prefix).map(value => ({ type: 'same', value })),
+        ...myersDiff(middleA, middleB),
+        ...seqA.slice(seqA.length - suffix).map(value => ({ type: 'same', value })),
+    ];
+}
+
+function myersDiff(seqA, seqB) {
+    const n = seqA.length;
+    const m = seqB.length;
+    
+    if (n === 0 || m === 0) {
+        return [
+            ...seqA.map(value => ({ type: 'removed', value })),
+            ...seqB.map(value => ({ type: 'added', value })),
+        ];
+    }
+    
+    const maxDistance = Math.min(n + m, DIFF_MAX_EDIT_DISTANCE);
+    const offset = maxDistance + 1;
+    const v = new Array(2 * offset + 1).fill(0);
+    const trace = [];
+    
+    for (let d = 0; d <= maxDistance; d++) {
+        trace.push(v.slice());
+        
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            
+            while (x < n && y < m && seqA[x] === seqB[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            
+            if (x >= n && y >= m) {
+                return backtrackMyers(trace, seqA, seqB, offset);
+            }
+        }
+    }
+    
+    return [
+        ...seqA.map(value => ({ type: 'removed', value })),
+        ...seqB.map(value => ({ type: 'added', value })),
+    ];
+}
+
+function backtrackMyers(trace, seqA, seqB, offset) {
+    const ops = [];
+    let x = seqA.length;
+    let y = seqB.length;
+    
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+        const prevX = v[offset + prevK];
+        const prevY = prevX - prevK;
+        
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'same', value: seqA[x - 1] });
+            x--;
+            y--;
+        }
+        
+        if (x === prevX) {
+            ops.push({ type: 'added', value: seqB[y - 1] });
+            y--;
+        } else {
+            ops.push({ type: 'removed', value: seqA[x - 1] });
+            x--;
+        }
+    }
+    
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'same', value: seqA[x - 1] });
+        x--;
+        y--;
+    }
+    
+    return ops.reverse();
+}
+
+function computeLineDiff(textA, textB) {
+    const ops = diffSequences(textA.split('\n'), textB.split('\n'));
+    
+    const resultA = [];
+    const resultB = [];
+    
+    let i = 0;
+    while (i < ops.length) {
+        if (ops[i].type === 'same') {
+            resultA.push({ text: ops[i].value, type: 'same' });
+            resultB.push({ text: ops[i].value, type: 'same' });
+            i++;
+            continue;
+        }
+        
+        const removed = [];
+        const added = [];
+        while (i < ops.length && ops[i].type !== 'same') {
+            (ops[i].type === 'removed' ? removed : added).push(ops[i].value);
+            i++;
+        }
+        
+        const blockLength = Math.max(removed.length, added.length);
+        for (let j = 0; j < blockLength; j++) {
+            const lineA = removed[j];
+            const lineB = added[j];
+            
+            if (lineA === undefined) {
+                resultA.push({ text: '', type: 'empty' });
+                resultB.push({ text: lineB, type: 'added' });
+            } else if (lineB === undefined) {
+                resultA.push({ text: lineA, type: 'removed' });
+                resultB.push({ text: '', type: 'empty' });
+            } else {
+                const { diffA, diffB } = computeWordDiff(lineA, lineB);
+                resultA.push({ text: lineA, type: 'changed', wordDiff: diffA });
+                resultB.push({ text: lineB, type: 'changed', wordDiff: diffB });
+            }
+        }
+    }
+    
+    return { resultA, resultB };
+}
+
+function computeWordDiff(lineA, lineB) {
+    const wordsA = lineA.split(/(\s+)/).filter(w => w !== '');
+    const wordsB = lineB.split(/(\s+)/).filter(w => w !== '');
+    
+    const diffA = [];
+    const diffB = [];
+    
+    for (const op of diffSequences(wordsA, wordsB)) {
+        if (op.type === 'same') {
+            diffA.push({ text: op.value, type: 'same' });
+            diffB.push({ text: op.value, type: 'same' });
+        } else if (op.type === 'removed') {
+            diffA.push({ text: op.value, type: 'removed' });
+        } else {
+            diffB.push({ text: op.value, type: 'added' });
+        }
+    }
+    
+    return { diffA, diffB };
+}
+
+function renderDiffRows(resultA, resultB) {
+    const htmlA = [];
+    const htmlB = [];
+    let collapseId = 0;
+    
+    const renderRange = (start, end) => {
+        for (let j = start; j < end; j++) {
+            htmlA.push(renderDiffLine(resultA[j]));
+            htmlB.push(renderDiffLine(resultB[j]));
+        }
+    };
+    
+    let i = 0;
+    while (i < resultA.length) {
+        if (resultA[i].type !== 'same') {
+            renderRange(i, i + 1);
+            i++;
+            continue;
+        }
+        
+        let end = i;
+        while (end < resultA.length && resultA[end].type === 'same') {
+            end++;
+        }
+        
+        const hiddenStart = i === 0 ? i : i + DIFF_CONTEXT_LINES;
+        const hiddenEnd = end === resultA.length ? end : end - DIFF_CONTEXT_LINES;
+        
+        if (hiddenEnd - hiddenStart >= DIFF_COLLAPSE_MIN_LINES) {
+            renderRange(i, hiddenStart);
+            
+            const id = collapseId++;
+            const count = hiddenEnd - hiddenStart;
+            const expander = `<div class="abtest-diff-collapsed" data-collapse-id="${id}"><i class="fa-solid fa-up-down"></i> ${count} unchanged lines</div>`;
+            htmlA.push(expander, `<div class="abtest-diff-hidden" data-collapse-id="${id}" style="display: none;">`);
+            htmlB.push(expander, `<div class="abtest-diff-hidden" data-collapse-id="${id}" style="display: none;">`);
+            renderRange(hiddenStart, hiddenEnd);
+            htmlA.push('</div>');
+            htmlB.push('</div>');
+            
+            renderRange(hiddenEnd, end);
+        } else {
+            renderRange(i, end);
+        }
+        
+        i = end;
+    }
+    
+    return { htmlA: htmlA.join(''), htmlB: htmlB.join('') };
+}
+
+function bindDiffExpanders(root) {
+    root?.addEventListener('click', (e) => {
+        const expander = e.target.closest('.abtest-diff-collapsed');
+        if (!expander) return;
+        
+        const id = expander.dataset.collapseId;
+        root.querySelectorAll(`.abtest-diff-collapsed[data-collapse-id="${id}"]`).forEach(el => el.style.display = 'none');
+        root.querySelectorAll(`.abtest-diff-hidden[data-collapse-id="${id}"]`).forEach(el => el.style.display = 'block');
+    });
+}
+
+function renderDiffLine(lineData) {
+    if (lineData.type === 'empty') {
+        return '<div class="abtest-diff-line abtest-diff-line-empty">&nbsp;</div>';
+    }
+    
+    if (lineData.type === 'same') {
+        return `<div class="abtest-diff-line">${escapeHtml(lineData.text)}</div>`;
+    }
+    
+    if (lineData.wordDiff) {
+        const html = lineData.wordDiff.map(w => {
+            if (w.type === 'same') {
+                return escapeHtml(w.text);
+            } else if (w.type === 'added') {
+                return `<span class="abtest-word-added">${escapeHtml(w.text)}</span>`;
+            } else if (w.type === 'removed') {
+                return `<span class="abtest-word-removed">${escapeHtml(w.text)}</span>`;
+            }
+            return escapeHtml(w.text);
+        }).join('');
+        return `<div class="abtest-diff-line abtest-diff-line-${lineData.type}">${html}</div>`;
+    }
+    
+    const className = lineData.type === 'added' ? 'abtest-diff-line-added' : 
+                      lineData.type === 'removed' ? 'abtest-diff-line-removed' : '';
+    return `<div class="abtest-diff-line ${className}">${escapeHtml(lineData.text)}</div>`;
+}
+
+function renderDiffComparison(textA, textB, sideA, sideB) {
+    const { resultA, resultB } = computeLineDiff(textA, textB);
+    const { htmlA, htmlB } = renderDiffRows(resultA, resultB);
+    
+    return `
+        <div class="abtest-compare-body">
+            <div class="abtest-compare-panel abtest-compare-panel-a">
+                <div class="abtest-compare-panel-header">
+                    <span class="abtest-compare-panel-label">${escapeHtml(sideA.label)}</span>
+                    <span class="abtest-compare-panel-name">${escapeHtml(sideA.name)}</span>
+                </div>
+                <div class="abtest-compare-panel-content abtest-diff-content">${htmlA}</div>
+            </div>
+            <div class="abtest-compare-panel abtest-compare-panel-b">
+                <div class="abtest-compare-panel-header">
+                    <span class="abtest-compare-panel-label">${escapeHtml(sideB.label)}</span>
+                    <span class="abtest-compare-panel-name">${escapeHtml(sideB.name)}</span>
+                </div>
+                <div class="abtest-compare-panel-content abtest-diff-content">${htmlB}</div>
+            </div>
+        </div>
+    `;
+}
+
+function showDiffCompareModal(diff, group) {
+    const contentA = diff.contentA || '(empty)';
+    const contentB = diff.contentB || '(empty)';
+    
+    const modalContent = `
+        <div class="abtest-compare-modal">
+            <div class="abtest-compare-header">
+                <span class="abtest-compare-title">${escapeHtml(diff.name)}</span>
+                <span class="abtest-compare-subtitle">Content Comparison (changes highlighted)</span>
+            </div>
+            ${renderDiffComparison(
+                contentA,
+                contentB,
+                { label: group.baselineLabel, name: group.baseline.name },
+                { label: group.targetLabel, name: group.target.name }
+            )}
+        </div>
+    `;
+    
+    const popup = new Popup(modalContent, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    bindDiffExpanders(popup.dlg);
+    popup.show();
+}
+
+function getTestMessage() {
+    return document.getElementById('abtest-input')?.value?.trim() || '';
+}
+
+function formatAssembledMessages(messages) {
+    return messages.map(message => {
+        const content = typeof message.content === 'string'
+            ? message.content
+            : JSON.stringify(message.content, null, 2);
+        const name = message.name ? ` (${message.name})` : '';
+        return `── ${message.role}${name} ──\n${content}`;
+    }).join('\n\n');
+}
+
+function summarizeRoles(messages) {
+    const counts = {};
+    for (const message of messages) {
+        counts[message.role] = (counts[message.role] || 0) + 1;
+    }
+    return Object.entries(counts).map(([role, count]) => `${count} ${role}`).join(' · ');
+}
+
+async function showAssembledPrompt(slot, label) {
+    if (!beginRun(false)) return;
+    
+    let messages;
+    try {
+        messages = await assemblePromptWithState(slot, getTestMessage());
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to assemble prompt:`, error);
+        toastr.error(`Failed to assemble prompt: ${error.message}`);
+        return;
+    } finally {
+        endRun();
+    }
+    
+    const messagesHtml = messages.map((message, index) => `
+        <div class="abtest-prompt-item">
+            <div class="abtest-prompt-header">
+                <span class="abtest-prompt-name">#${index + 1}${message.name ? ` · ${escapeHtml(message.name)}` : ''}</span>
+                <span class="abtest-prompt-status">${escapeHtml(message.role)}</span>
+            </div>
+            <div class="abtest-prompt-content abtest-assembled-content">${escapeHtml(typeof message.content === 'string' ? message.content : JSON.stringify(message.content, null, 2))}</div>
+        </div>
+    `).join('');
+    
+    const content = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">${escapeHtml(label)} · ${escapeHtml(slot.name)}</span>
+                <span class="abtest-viewer-preset">${messages.length} messages · ${escapeHtml(summarizeRoles(messages))}</span>
+            </div>
+            <div class="abtest-viewer-body">
+                ${messagesHtml || '<div class="abtest-empty">No messages assembled</div>'}
+            </div>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    popup.show();
+}
+
+async function showAssembledPromptDiff() {
+    if (selectedSlots.length < 2) return;
+    if (!beginRun(false)) return;
+    
+    const testMessage = getTestMessage();
+    const assembled = [];
+    try {
+        for (const slot of selectedSlots) {
+            assembled.push(await assemblePromptWithState(slot, testMessage));
+        }
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to assemble prompt:`, error);
+        toastr.error(`Failed to assemble prompt: ${error.message}`);
+        return;
+    } finally {
+        endRun();
+    }
+    
+    const baseline = selectedSlots[baselineSlotIndex];
+    const baselineMessages = assembled[baselineSlotIndex];
+    const baselineLabel = getSlotLabel(baselineSlotIndex);
+    
+    const sectionsHtml = selectedSlots.map((target, index) => {
+        if (index === baselineSlotIndex) return '';
+        
+        const targetMessages = assembled[index];
+        const roleSequenceA = baselineMessages.map(m => m.role).join(',');
+        const roleSequenceB = targetMessages.map(m => m.role).join(',');
+        
+        return `
+            <div class="abtest-assembled-group">
+                <div class="abtest-diff-group-header">
+                    <span class="abtest-slot-tag">${baselineLabel}</span>
+                    ${baselineMessages.length} messages (${escapeHtml(summarizeRoles(baselineMessages))})
+                    <i class="fa-solid fa-arrow-right"></i>
+                    <span class="abtest-slot-tag">${getSlotLabel(index)}</span>
+                    ${targetMessages.length} messages (${escapeHtml(summarizeRoles(targetMessages))})
+                    ${roleSequenceA !== roleSequenceB ? '<span class="abtest-import-flag">Role order differs</span>' : ''}
+                </div>
+                ${renderDiffComparison(
+                    formatAssembledMessages(baselineMessages),
+                    formatAssembledMessages(targetMessages),
+                    { label: baselineLabel, name: baseline.name },
+                    { label: getSlotLabel(index), name: target.name }
+                )}
+            </div>
+        `;
+    }).join('');
+    
+    const content = `
+        <div class="abtest-compare-modal">
+            <div class="abtest-compare-header">
+                <span class="abtest-compare-title">Assembled Prompts</span>
+                <span class="abtest-compare-subtitle">Final message arrays after markers, world info and injections are expanded</span>
+            </div>
+            ${sectionsHtml}
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    bindDiffExpanders(popup.dlg);
+    popup.show();
+}
+
+function computeSimilarity(textA, textB) {
+    const wordsA = textA.split(/\s+/).filter(w => w !== '');
+    const wordsB = textB.split(/\s+/).filter(w => w !== '');
+    
+    if (wordsA.length === 0 && wordsB.length === 0) return 100;
+    
+    const sameCount = diffSequences(wordsA, wordsB).filter(op => op.type === 'same').length;
+    return Math.round((2 * sameCount / (wordsA.length + wordsB.length)) * 100);
+}
+
+function toggleResponseDiff() {
+    const container = document.getElementById('abtest-response-diff');
+    if (!container || lastRunSlots.length < 2) return;
+    
+    if (container.style.display !== 'none') {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+    
+    const indexA = baselineSlotIndex < lastRunSlots.length ? baselineSlotIndex : 0;
+    const indexB = indexA === 0 ? 1 : 0;
+    const sampleCount = Math.max(...lastRunSlots.map(slot => slot.samples.length));
+    
+    const slotOptions = (selected) => lastRunSlots.map((slot, index) =>
+        `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(slot.label)}: ${escapeHtml(slot.state?.name || 'Unknown')}</option>`
+    ).join('');
+    const sampleOptions = Array.from({ length: sampleCount }, (_, index) => `<option value="${index}">#${index + 1}</option>`).join('');
+    
+    container.innerHTML = `
+        <div class="abtest-response-diff-controls">
+            <select class="abtest-select" id="abtest-response-diff-a">${slotOptions(indexA)}</select>
+            <span class="abtest-vs-label">vs</span>
+            <select class="abtest-select" id="abtest-response-diff-b">${slotOptions(indexB)}</select>
+            ${sampleCount > 1 ? `<select class="abtest-select abtest-select-compact" id="abtest-response-diff-sample">${sampleOptions}</select>` : ''}
+        </div>
+        <div class="abtest-response-diff-body" id="abtest-response-diff-body"></div>
+    `;
+    container.style.display = 'block';
+    
+    container.querySelectorAll('select').forEach(select => {
+        select.addEventListener('change', renderResponseDiff);
+    });
+    bindDiffExpanders(container.querySelector('.abtest-response-diff-body'));
+    renderResponseDiff();
+}
+
+function renderResponseDiff() {
+    const body = document.getElementById('abtest-response-diff-body');
+    if (!body) return;
+    
+    const indexA = parseInt(document.getElementById('abtest-response-diff-a')?.value) || 0;
+    const indexB = parseInt(document.getElementById('abtest-response-diff-b')?.value) || 0;
+    const sampleIndex = parseInt(document.getElementById('abtest-response-diff-sample')?.value) || 0;
+    
+    const slotA = lastRunSlots[indexA];
+    const slotB = lastRunSlots[indexB];
+    const textA = slotA?.samples[sampleIndex]?.text || '';
+    const textB = slotB?.samples[sampleIndex]?.text || '';
+    const similarity = computeSimilarity(textA, textB);
+    
+    body.innerHTML = `
+        <div class="abtest-similarity ${similarity >= 95 ? 'abtest-similarity-high' : ''}">
+            <i class="fa-solid fa-percent"></i> Similarity: <strong>${similarity}%</strong>
+            ${similarity >= 95 ? '<span class="abtest-similarity-note">Near-identical output — the config change may have had no effect</span>' : ''}
+        </div>
+        ${renderDiffComparison(
+            textA || '(empty)',
+            textB || '(empty)',
+            { label: slotA?.label || '?', name: slotA?.state?.name || 'Unknown' },
+            { label: slotB?.label || '?', name: slotB?.state?.name || 'Unknown' }
+        )}
+    `;
+}
+
+async function promptForName(defaultName = `Snapshot ${new Date().toLocaleString()}`) {
+    const result = await Popup.show.input('Snapshot Name', 'Enter a name for this snapshot:', defaultName);
+    return result;
+}
+
+async function promptForSnapshotSave(state, defaultName = `Snapshot ${new Date().toLocaleString()}`) {
+    await loadSnapshots();
+    
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">Save Snapshot</div>
+            <label class="abtest-preset-import-field">
+                <span>Name</span>
+                <input type="text" class="text_pole" id="abtest-save-name" value="${escapeHtml(defaultName)}">
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Parent snapshot</span>
+                <select class="abtest-select" id="abtest-save-parent">${renderParentOptions(getDefaultParentId(state.presetName))}</select>
+            </label>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Save',
+        cancelButton: 'Cancel'
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return null;
+    
+    const name = popup.dlg.querySelector('#abtest-save-name')?.value?.trim();
+    if (!name) {
+        toastr.warning('Snapshot name cannot be empty');
+        return null;
+    }
+    
+    return {
+        name,
+        parentId: parseInt(popup.dlg.querySelector('#abtest-save-parent')?.value) || null,
+    };
+}
+
+async function generateAllSlots(slots, testMessage, sampleCount, getPanel, signal, order = slots.map((_, index) => index)) {
+    if (!getSettings().parallelMode) {
+        for (const i of order) {
+            slots[i].samples = await generateSamples(slots[i].state, testMessage, sampleCount, getPanel(i), { signal });
+        }
+        return;
+    }
+    
+    await Promise.all(slots.map(async (slot, i) => {
+        const messages = await buildIsolatedMessages(slot.state, testMessage);
+        slot.samples = await generateSamples(slot.state, testMessage, sampleCount, getPanel(i), { signal, messages });
+    }));
+}
+
+function beginRun(showStop = true) {
+    if (activeRunController) {
+        toastr.warning('A test is already running');
+        return null;
+    }
+    
+    activeRunController = new AbortController();
+    const stopBtn = document.getElementById('abtest-stop-test');
+    if (stopBtn && showStop) {
+        stopBtn.style.display = '';
+        stopBtn.disabled = false;
+    }
+    return activeRunController.signal;
+}
+
+function endRun() {
+    activeRunController = null;
+    const stopBtn = document.getElementById('abtest-stop-test');
+    if (stopBtn) {
+        stopBtn.style.display = 'none';
+    }
+}
+
+function stopRun() {
+    if (!activeRunController) return;
+    
+    activeRunController.abort();
+    const stopBtn = document.getElementById('abtest-stop-test');
+    if (stopBtn) {
+        stopBtn.disabled = true;
+    }
+    toastr.info('Stopping test...');
+}
+
+function getRunStates() {
+    if (selectedSlots.length === 0) {
+        toastr.warning('Please select at least one snapshot');
+        return null;
+    }
+    
+    const states = [...selectedSlots];
+    if (states.length === 1) {
+        const currentState = captureCurrentPromptState();
+        if (!currentState) {
+            toastr.warning('Please select a second snapshot or add the current config');
+            return null;
+        }
+        states.push({ ...currentState, name: 'Current Config', isCurrent: true });
+    }
+    
+    const context = getContext();
+    if (!context.chat || context.chat.length === 0) {
+        toastr.warning('No chat history available');
+        return null;
+    }
+    
+    return states;
+}
+
+async function runABTest() {
+    const states = getRunStates();
+    if (!states) return;
+    
+    const testMessage = getTestMessage();
+    const sampleCount = getSampleCount();
+    const blindMode = !!document.getElementById('abtest-blind')?.checked;
+    
+    const resultsSection = document.getElementById('abtest-results');
+    const resultsGrid = document.getElementById('abtest-results-grid');
+    const votePanel = document.getElementById('abtest-vote');
+    const responseDiff = document.getElementById('abtest-response-diff');
+    const diffResponsesBtn = document.getElementById('abtest-diff-responses');
+    const suiteMatrix = document.getElementById('abtest-suite-matrix');
+    const judgePanel = document.getElementById('abtest-judge');
+    const runBtn = document.getElementById('abtest-run-test');
+    
+    if (!resultsSection || !resultsGrid) return;
+    
+    const signal = beginRun();
+    if (!signal) return;
+    
+    const slots = states.map((state, index) => ({ label: getSlotLabel(index), state, samples: [] }));
+    const slotIndexes = slots.map((_, index) => index);
+    const displayOrder = blindMode ? shuffleArray(slotIndexes) : slotIndexes;
+    const generationOrder = blindMode ? shuffleArray(slotIndexes) : slotIndexes;
+    setBlindMask(blindMode);
+    
+    resultsSection.style.display = 'block';
+    resultsGrid.style.display = '';
+    if (suiteMatrix) {
+        suiteMatrix.style.display = 'none';
+        suiteMatrix.innerHTML = '';
+    }
+    resultsGrid.style.setProperty('--abtest-columns', slots.length);
+    resultsGrid.innerHTML = displayOrder
+        .map((slotIndex, position) => renderResultPanel(slots[slotIndex], slotIndex, blindMode ? getBlindLabel(position, slots.length) : null))
+        .join('');
+    
+    if (votePanel) {
+        votePanel.style.display = 'none';
+        votePanel.innerHTML = '';
+    }
+    if (responseDiff) {
+        responseDiff.style.display = 'none';
+        responseDiff.innerHTML = '';
+    }
+    if (diffResponsesBtn) {
+        diffResponsesBtn.style.display = 'none';
+    }
+    if (judgePanel) {
+        judgePanel.style.display = 'none';
+        judgePanel.innerHTML = '';
+        judgePanel.dataset.hidden = String(blindMode);
+    }
+    lastRunSlots = [];
+    
+    if (runBtn) {
+        runBtn.disabled = true;
+        runBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Running...';
+    }
+    
+    try {
+        await generateAllSlots(
+            slots,
+            testMessage,
+            sampleCount,
+            (i) => resultsGrid.querySelector(`.abtest-result-panel[data-slot-index="${i}"]`),
+            signal,
+            generationOrder
+        );
+        
+        const runId = await recordRun(slots, testMessage, blindMode);
+        lastRunSlots = slots;
+        
+        if (signal.aborted) {
+            toastr.info('Test stopped');
+        }
+        
+        if (blindMode && votePanel) {
+            showVotePanel(votePanel, slots, displayOrder, testMessage, runId);
+        } else if (diffResponsesBtn) {
+            diffResponsesBtn.style.display = '';
+        }
+        
+        if (getSettings().judgeEnabled && judgePanel && !signal.aborted) {
+            judgePanel.innerHTML = '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i> Judging...</div>';
+            showJudgePanel(judgePanel);
+            
+            const verdicts = await judgeSlots(slots, testMessage, signal);
+            await storeVerdicts(runId, verdicts);
+            judgePanel.innerHTML = renderJudgeVerdicts(verdicts);
+            showJudgePanel(judgePanel);
+        }
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] A/B test error:`, error);
+        toastr.error('Failed to run A/B test');
+        setBlindMask(false);
+    } finally {
+        endRun();
+        if (runBtn) {
+            runBtn.disabled = false;
+            runBtn.innerHTML = '<i class="fa-solid fa-play"></i> Run A/B Test';
+        }
+    }
+}
+
+function shuffleArray(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+function setBlindMask(active) {
+    document.querySelector('.abtest-modal')?.classList.toggle('abtest-blind-masked', active);
+}
+
+function getBlindLabel(position, total) {
+    return total === 2 ? BLIND_LABELS[position] : `Response ${position + 1}`;
+}
+
+function getSampleCount() {
+    const value = parseInt(document.getElementById('abtest-samples')?.value);
+    if (isNaN(value)) return 1;
+    return Math.min(Math.max(value, 1), MAX_SAMPLES);
+}
+
+async function generateSamples(state, testMessage, sampleCount, panel, { signal = null, messages = null } = {}) {
+    const samples = [];
+    const list = panel?.querySelector('.abtest-sample-list');
+    const stats = panel?.querySelector('.abtest-sample-stats');
+    
+    if (list) {
+        list.innerHTML = '';
+    }
+    
+    const deadline = getSlotDeadline();
+    for (let i = 0; i < sampleCount; i++) {
+        const liveElement = document.createElement('div');
+        liveElement.className = 'abtest-sample-live';
+        list?.appendChild(liveElement);
+        
+        let sample;
+        try {
+            if (messages) {
+                liveElement.innerHTML = '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i> Generating...</div>';
+            }
+            const text = await runWithTimeout(taskSignal => messages
+                ? generateIsolated(state, messages, taskSignal)
+                : generateWithState(state, testMessage, liveElement, taskSignal), signal, deadline);
+            sample = { text, error: null, checks: runResponseChecks(text) };
+        } catch (error) {
+            sample = { text: '', error: error.message || String(error) };
+        }
+        samples.push(sample);
+        
+        if (list) {
+            liveElement.outerHTML = renderSample(sample, i);
+        }
+        if (stats) {
+            stats.innerHTML = renderSampleStats(computeSampleStats(samples), sampleCount);
+        }
+    }
+    
+    return samples;
+}
+
+function computeSampleStats(samples) {
+    const lengths = samples.filter(s => !s.error).map(s => s.text.length);
+    const total = lengths.reduce((sum, length) => sum + length, 0);
+    
+    const checkTotals = computeCheckTotals(samples);
+    
+    return {
+        count: samples.length,
+        errors: samples.length - lengths.length,
+        checksPassed: checkTotals.passed,
+        checksFailed: checkTotals.failed,
+        avgLength: lengths.length > 0 ? Math.round(total / lengths.length) : 0,
+        minLength: lengths.length > 0 ? Math.min(...lengths) : 0,
+        maxLength: lengths.length > 0 ? Math.max(...lengths) : 0,
+    };
+}
+
+function renderSampleStats(stats, sampleCount) {
+    return `
+        <span class="abtest-stat"><i class="fa-solid fa-layer-group"></i> ${stats.count}/${sampleCount}</span>
+        <span class="abtest-stat" title="Average length (min–max)"><i class="fa-solid fa-ruler-horizontal"></i> ${stats.avgLength} chars (${stats.minLength}–${stats.maxLength})</span>
+        <span class="abtest-stat ${stats.errors > 0 ? 'abtest-stat-error' : ''}"><i class="fa-solid fa-triangle-exclamation"></i> ${stats.errors} errors</span>
+        ${stats.checksPassed + stats.checksFailed > 0 ? `<span class="abtest-stat ${stats.checksFailed > 0 ? 'abtest-stat-error' : ''}" title="Checks passed/total"><i class="fa-solid fa-list-check"></i> ${stats.checksPassed}/${stats.checksPassed + stats.checksFailed} checks</span>` : ''}
+    `;
+}
+
+function renderResultPanel(slot, index, labelOverride = null) {
+    const label = labelOverride ? escapeHtml(labelOverride) : `Response ${escapeHtml(slot.label)}`;
+    const stats = slot.samples.length > 0 ? renderSampleStats(computeSampleStats(slot.samples), slot.samples.length) : '';
+    return `
+        <div class="abtest-result-panel" data-slot-index="${index}">
+            <div class="abtest-result-label">${label}</div>
+            <div class="abtest-sample-stats">${stats}</div>
+            <div class="abtest-result-content abtest-sample-list">
+                ${slot.samples.length > 0
+                    ? slot.samples.map((sample, i) => renderSample(sample, i)).join('')
+                    : '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i> Generating...</div>'
+                }
+            </div>
+        </div>
+    `;
+}
+
+function renderSample(sample, index) {
+    const checks = sample.checks || [];
+    const failedChecks = computeCheckTotals([sample]).failed;
+    const checkSummary = checks.length > 0 ? ` · ${failedChecks > 0 ? `${failedChecks} failed` : 'all checks passed'}` : '';
+    const summary = sample.error ? 'Error' : `${sample.text.length} chars${checkSummary}`;
+    const body = sample.error
+        ? `<div class="abtest-error">${escapeHtml(sample.error)}</div>`
+        : `${renderCheckBadges(checks)}<div class="abtest-response">${escapeHtml(sample.text) || '<em>No response</em>'}</div>`;
+    
+    return `
+        <details class="abtest-sample ${sample.error ? 'abtest-sample-error' : ''}" ${index === 0 ? 'open' : ''}>
+            <summary class="abtest-sample-summary">#${index + 1} · ${summary}</summary>
+            ${body}
+        </details>
+    `;
+}
+
+function renderCheckBadges(checks) {
+    if (checks.length === 0) return '';
+    
+    return `
+        <div class="abtest-check-badges">
+            ${checks.map(check => `
+                <span class="abtest-check-badge ${check.passed ? 'abtest-check-pass' : 'abtest-check-fail'}" title="${escapeHtml(check.detail)}">
+                    <i class="fa-solid ${check.passed ? 'fa-check' : 'fa-xmark'}"></i> ${escapeHtml(check.name)}
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
+function parseCheckRegex(value) {
+    const match = String(value).match(/^\/(.*)\/([a-z]*)$/s);
+    return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+}
+
+function parseCheckLimit(check) {
+    const value = String(check.value).trim();
+    const min = check.type === 'repetition' ? 1 : 0;
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+        throw new Error(`${CHECK_TYPES[check.type].label} needs a whole number${min > 0 ? ` of at least ${min}` : ''}`);
+    }
+    return Number(value);
+}
+
+function findRepeatedPhrase(text) {
+    const words = text.toLowerCase().split(/\s+/).map(w => w.replace(/[^\p{L}\p{N}']/gu, '')).filter(Boolean);
+    const counts = new Map();
+    let top = { phrase: '', count: 0 };
+    
+    for (let i = 0; i + REPETITION_PHRASE_WORDS <= words.length; i++) {
+        const phrase = words.slice(i, i + REPETITION_PHRASE_WORDS).join(' ');
+        const count = (counts.get(phrase) || 0) + 1;
+        counts.set(phrase, count);
+        if (count > top.count) {
+            top = { phrase, count };
+        }
+    }
+    return top;
+}
+
+function evaluateCheck(check, text) {
+    switch (check.type) {
+        case 'regex_match':
+        case 'regex_not_match': {
+            const regex = parseCheckRegex(check.value);
+            const match = text.match(regex);
+            if (check.type === 'regex_match') {
+                return { passed: !!match, detail: match ? `Matched "${match[0]}"` : 'No match' };
+            }
+            return { passed: !match, detail: match ? `Matched "${match[0]}"` : 'No match' };
+        }
+        case 'min_length': {
+            const limit = parseCheckLimit(check);
+            return { passed: text.length >= limit, detail: `${text.length} chars (min ${limit})` };
+        }
+        case 'max_length': {
+            const limit = parseCheckLimit(check);
+            return { passed: text.length <= limit, detail: `${text.length} chars (max ${limit})` };
+        }
+        case 'forbidden_words': {
+            const lowerText = text.toLowerCase();
+            const found = String(check.value)
+                .split(/[,\n]/)
+                .map(word => word.trim())
+                .filter(word => word && lowerText.includes(word.toLowerCase()));
+            return { passed: found.length === 0, detail: found.length > 0 ? `Found: ${found.join(', ')}` : 'None found' };
+        }
+        case 'repetition': {
+            const limit = parseCheckLimit(check);
+            const top = findRepeatedPhrase(text);
+            return {
+                passed: top.count <= limit,
+                detail: top.count > 1 ? `"${top.phrase}" repeated ${top.count}x (max ${limit})` : 'No repeated phrases',
+            };
+        }
+        default:
+            throw new Error(`Unknown check type: ${check.type}`);
+    }
+}
+
+function runResponseChecks(text) {
+    return getSettings().checks
+        .filter(check => check.enabled)
+        .map(check => {
+            try {
+                return { id: check.id, name: check.name, ...evaluateCheck(check, text) };
+            } catch (error) {
+                return { id: check.id, name: check.name, passed: false, detail: `Invalid check: ${error.message}` };
+            }
+        });
+}
+
+function computeCheckTotals(samples) {
+    const results = samples.flatMap(sample => sample.checks || []);
+    return {
+        passed: results.filter(c => c.passed).length,
+        failed: results.filter(c => !c.passed).length,
+    };
+}
+
+function renderCheckRow(check) {
+    const typeOptions = Object.entries(CHECK_TYPES).map(([type, { label }]) =>
+        `<option value="${type}" ${type === check.type ? 'selected' : ''}>${label}</option>`
+    ).join('');
+    
+    return `
+        <div class="abtest-check-row" data-id="${escapeHtml(check.id)}">
+            <input type="checkbox" class="abtest-check-enabled" ${check.enabled ? 'checked' : ''} title="Enabled">
+            <input type="text" class="text_pole abtest-check-name" value="${escapeHtml(check.name)}" placeholder="Name">
+            <select class="abtest-select abtest-check-type">${typeOptions}</select>
+            <input type="text" class="text_pole abtest-check-value" value="${escapeHtml(check.value)}" placeholder="${escapeHtml(CHECK_TYPES[check.type]?.placeholder || '')}">
+            <button class="abtest-btn-icon abtest-check-remove-btn" title="Remove">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </div>
+    `;
+}
+
+async function showChecksEditor() {
+    const settings = getSettings();
+    
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">Response Checks</div>
+            <div class="abtest-preset-import-hint">Enabled checks run on every generated response. Regex values may use <code>/pattern/flags</code>.</div>
+            <div class="abtest-check-list">${settings.checks.map(renderCheckRow).join('')}</div>
+            <button class="abtest-btn abtest-btn-secondary abtest-check-add-btn">
+                <i class="fa-solid fa-plus"></i> Add Check
+            </button>
+        </div>
+    `;
+    
+    const readChecks = () => [...list.querySelectorAll('.abtest-check-row')]
+        .map(row => {
+            const type = row.querySelector('.abtest-check-type').value;
+            return {
+                id: row.dataset.id,
+                name: row.querySelector('.abtest-check-name').value.trim() || CHECK_TYPES[type].label,
+                type,
+                value: row.querySelector('.abtest-check-value').value.trim(),
+                enabled: row.querySelector('.abtest-check-enabled').checked,
+            };
+        })
+        .filter(check => check.value !== '');
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        onClosing: (closingPopup) => {
+            if (closingPopup.result !== POPUP_RESULT.AFFIRMATIVE) return true;
+            
+            const errors = [];
+            for (const check of readChecks()) {
+                const valueInput = list.querySelector(`.abtest-check-row[data-id="${CSS.escape(check.id)}"] .abtest-check-value`);
+                try {
+                    evaluateCheck(check, '');
+                    valueInput?.classList.remove('abtest-check-invalid');
+                } catch (error) {
+                    valueInput?.classList.add('abtest-check-invalid');
+                    errors.push(`${escapeHtml(check.name)}: ${escapeHtml(error.message)}`);
+                }
+            }
+            
+            if (errors.length > 0) {
+                toastr.error(errors.join('<br>'), 'Fix the highlighted checks');
+                return false;
+            }
+            return true;
+        },
+    });
+    
+    const list = popup.dlg.querySelector('.abtest-check-list');
+    popup.dlg.addEventListener('click', (e) => {
+        if (e.target.closest('.abtest-check-add-btn')) {
+            list.insertAdjacentHTML('beforeend', renderCheckRow({ id: uuidv4(), name: '', type: 'regex_not_match', value: '', enabled: true }));
+        } else if (e.target.closest('.abtest-check-remove-btn')) {
+            e.target.closest('.abtest-check-row')?.remove();
+        }
+    });
+    popup.dlg.addEventListener('change', (e) => {
+        const typeSelect = e.target.closest('.abtest-check-type');
+        if (typeSelect) {
+            const valueInput = typeSelect.closest('.abtest-check-row')?.querySelector('.abtest-check-value');
+            if (valueInput) {
+                valueInput.placeholder = CHECK_TYPES[typeSelect.value]?.placeholder || '';
+            }
+        }
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    settings.checks = readChecks();
+    saveOwnSettings();
+    toastr.success(`Saved ${settings.checks.length} response checks`);
+}
+
+function showVotePanel(votePanel, slots, displayOrder, testMessage, runId = null) {
+    const total = displayOrder.length;
+    const pickButtons = total === 2
+        ? `
+            <button class="abtest-btn abtest-btn-secondary" data-vote="0"><i class="fa-solid fa-arrow-left"></i> Left better</button>
+            <button class="abtest-btn abtest-btn-secondary" data-vote="1">Right better <i class="fa-solid fa-arrow-right"></i></button>
+        `
+        : displayOrder.map((_, position) => `
+            <button class="abtest-btn abtest-btn-secondary" data-vote="${position}"><i class="fa-solid fa-trophy"></i> ${getBlindLabel(position, total)} best</button>
+        `).join('');
+    
+    votePanel.innerHTML = `
+        <div class="abtest-vote-title">${total === 2 ? 'Which response is better?' : 'Which response is best?'}</div>
+        <div class="abtest-vote-buttons">
+            ${pickButtons}
+            <button class="abtest-btn abtest-btn-secondary" data-vote="tie"><i class="fa-solid fa-equals"></i> Tie</button>
+            <button class="abtest-btn abtest-btn-secondary" data-vote="both_bad"><i class="fa-solid fa-thumbs-down"></i> ${total === 2 ? 'Both bad' : 'All bad'}</button>
+        </div>
+        <div class="abtest-vote-reveal"></div>
+    `;
+    votePanel.style.display = 'block';
+    
+    votePanel.querySelectorAll('[data-vote]').forEach(button => {
+        button.addEventListener('click', async () => {
+            votePanel.querySelectorAll('[data-vote]').forEach(b => b.disabled = true);
+            button.classList.add('abtest-vote-chosen');
+            await recordBlindVote(button.dataset.vote, slots, displayOrder, testMessage, runId);
+            revealBlindMapping(votePanel, slots, displayOrder);
+        });
+    });
+}
+
+async function recordBlindVote(choice, slots, displayOrder, testMessage, runId) {
+    const timestamp = Date.now();
+    const createVote = (indexA, indexB, result) => ({
+        snapshotA: describeSnapshotRef(slots[indexA].state),
+        snapshotB: describeSnapshotRef(slots[indexB].state),
+        result,
+        testMessage,
+        runId,
+        timestamp,
+    });
+    
+    const votes = [];
+    if (choice === 'tie' || choice === 'both_bad') {
+        for (let i = 0; i < slots.length; i++) {
+            for (let j = i + 1; j < slots.length; j++) {
+                votes.push(createVote(i, j, choice));
+            }
+        }
+    } else {
+        const winnerIndex = displayOrder[parseInt(choice)];
+        slots.forEach((_, index) => {
+            if (index === winnerIndex) return;
+            votes.push(index > winnerIndex
+                ? createVote(winnerIndex, index, 'A')
+                : createVote(index, winnerIndex, 'B'));
+        });
+    }
+    
+    try {
+        for (const vote of votes) {
+            await saveVote(vote);
+        }
+        toastr.success('Vote saved');
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to save vote:`, error);
+        toastr.error('Failed to save vote');
+    }
+}
+
+async function showRubricEditor() {
+    const settings = getSettings();
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">Judge Rubric</div>
+            <div class="abtest-preset-import-hint">Sent to the model with the test message and both responses. The verdict format is added automatically.</div>
+            <textarea class="abtest-input abtest-rubric-input" id="abtest-rubric-input">${escapeHtml(settings.judgeRubric)}</textarea>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        okButton: 'Save',
+        cancelButton: 'Cancel',
+        customButtons: [{ text: 'Reset to Default', result: POPUP_RESULT.CUSTOM1 }]
+    });
+    
+    const result = await popup.show();
+    if (result === POPUP_RESULT.CUSTOM1) {
+        settings.judgeRubric = DEFAULT_JUDGE_RUBRIC;
+    } else if (result === POPUP_RESULT.AFFIRMATIVE) {
+        settings.judgeRubric = popup.dlg.querySelector('#abtest-rubric-input')?.value?.trim() || DEFAULT_JUDGE_RUBRIC;
+    } else {
+        return;
+    }
+    saveOwnSettings();
+    toastr.success('Judge rubric saved');
+}
+
+function buildJudgePrompt(testMessage, firstText, secondText) {
+    return [
+        getSettings().judgeRubric,
+        `[Test message]\n${testMessage || '(continue the current conversation)'}`,
+        `[Response 1]\n${firstText}`,
+        `[Response 2]\n${secondText}`,
+        'Reply with only a JSON object and nothing else: {"winner": "1" | "2" | "tie", "rationale": "one or two sentences"}',
+    ].join('\n\n');
+}
+
+function parseJudgeVerdict(text) {
+    let parsed = null;
+    try {
+        parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || 'null');
+    } catch (error) {
+        parsed = null;
+    }
+    
+    const winner = String(parsed?.winner ?? text.match(/winner\W+(1|2|tie)\b/i)?.[1] ?? '').trim().toLowerCase();
+    if (!['1', '2', 'tie'].includes(winner)) return null;
+    
+    return { winner, rationale: String(parsed?.rationale || '').trim() };
+}
+
+async function judgePair(slotA, slotB, sampleIndex, testMessage, signal = null) {
+    const sampleA = slotA.samples[sampleIndex];
+    const sampleB = slotB.samples[sampleIndex];
+    const verdict = {
+        slotA: slotA.label,
+        slotB: slotB.label,
+        sample: sampleIndex,
+        snapshotA: describeSnapshotRef(slotA.state),
+        snapshotB: describeSnapshotRef(slotB.state),
+        winner: null,
+        rationale: '',
+        shownFirst: null,
+        error: null,
+    };
+    
+    if (!sampleA || !sampleB || sampleA.error || sampleB.error) {
+        verdict.error = 'Missing response';
+        return verdict;
+    }
+    
+    const [first, second] = shuffleArray([
+        { label: slotA.label, text: sampleA.text },
+        { label: slotB.label, text: sampleB.text },
+    ]);
+    verdict.shownFirst = first.label;
+    
+    try {
+        const context = getContext();
+        const raw = await raceAbort(context.generate('quiet', {
+            quiet_prompt: buildJudgePrompt(testMessage, first.text, second.text),
+            skipWIAN: true,
+            force_name2: true,
+            signal,
+        }), signal);
+        const parsed = parseJudgeVerdict(raw || '');
+        
+        if (!parsed) {
+            verdict.error = 'Could not parse verdict';
+            verdict.rationale = (raw || '').substring(0, 300);
+        } else {
+            verdict.winner = parsed.winner === 'tie' ? 'tie' : parsed.winner === '1' ? first.label : second.label;
+            verdict.rationale = parsed.rationale;
+        }
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Judge error:`, error);
+        verdict.error = error.message || String(error);
+    }
+    
+    return verdict;
+}
+
+async function judgeSlots(slots, testMessage, signal = null) {
+    const verdicts = [];
+    for (let i = 0; i < slots.length; i++) {
+        for (let j = i + 1; j < slots.length; j++) {
+            const sampleCount = Math.max(slots[i].samples.length, slots[j].samples.length);
+            for (let k = 0; k < sampleCount && !signal?.aborted; k++) {
+                verdicts.push(await judgePair(slots[i], slots[j], k, testMessage, signal));
+            }
+        }
+    }
+    return verdicts;
+}
+
+async function storeVerdicts(runId, verdicts) {
+    const run = currentRuns.find(r => r.id === runId);
+    if (!run) return;
+    
+    run.verdicts = verdicts;
+    try {
+        await updateRun(run);
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to save verdicts:`, error);
+    }
+}
+
+function showJudgePanel(judgePanel) {
+    if (judgePanel.dataset.hidden !== 'true' && judgePanel.innerHTML) {
+        judgePanel.style.display = 'block';
+    }
+}
+
+function summarizeJudgeVerdicts(verdicts) {
+    const pairs = new Map();
+    for (const verdict of verdicts) {
+        const key = `${verdict.slotA}|${verdict.slotB}`;
+        if (!pairs.has(key)) {
+            pairs.set(key, { slotA: verdict.slotA, slotB: verdict.slotB, winsA: 0, winsB: 0, ties: 0, errors: 0 });
+        }
+        
+        const pair = pairs.get(key);
+        if (verdict.error) {
+            pair.errors++;
+        } else if (verdict.winner === 'tie') {
+            pair.ties++;
+        } else if (verdict.winner === verdict.slotA) {
+            pair.winsA++;
+        } else {
+            pair.winsB++;
+        }
+    }
+    return [...pairs.values()];
+}
+
+function renderJudgeVerdicts(verdicts, compact = false) {
+    const multiSample = verdicts.some(verdict => verdict.sample > 0);
+    const summary = multiSample ? summarizeJudgeVerdicts(verdicts).map(pair => `
+        <div class="abtest-judge-verdict abtest-judge-summary">
+            <i class="fa-solid fa-scale-balanced"></i> <strong>${escapeHtml(pair.slotA)} ${pair.winsA} – ${pair.winsB} ${escapeHtml(pair.slotB)}</strong>
+            <span class="abtest-judge-rationale">${pair.ties} tie${pair.ties === 1 ? '' : 's'}${pair.errors > 0 ? `, ${pair.errors} not judged` : ''}</span>
+        </div>
+    `).join('') : '';
+    
+    const items = verdicts.map(verdict => {
+        const pair = `${escapeHtml(verdict.slotA)} vs ${escapeHtml(verdict.slotB)}${multiSample ? ` #${(verdict.sample ?? 0) + 1}` : ''}`;
+        
+        if (verdict.error) {
+            return `
+                <div class="abtest-judge-verdict abtest-judge-error" title="${escapeHtml(verdict.rationale)}">
+                    <i class="fa-solid fa-triangle-exclamation"></i> ${pair}: ${escapeHtml(verdict.error)}
+                </div>
+            `;
+        }
+        
+        const outcome = verdict.winner === 'tie' ? 'Tie' : `${escapeHtml(verdict.winner)} wins`;
+        return `
+            <div class="abtest-judge-verdict" title="${escapeHtml(verdict.rationale)}">
+                <i class="fa-solid fa-gavel"></i> <strong>${pair}: ${outcome}</strong>
+                ${compact ? '' : `<span class="abtest-judge-rationale">${escapeHtml(verdict.rationale)}</span>`}
+            </div>
+        `;
+    }).join('');
+    
+    return compact ? summary + items : `<div class="abtest-vote-title">${multiSample ? 'Judge verdicts per sample' : 'Judge verdict'}</div>${summary}${items}`;
+}
+
+function describeSnapshotRef(state) {
+    const ref = {
+        id: state?.id ?? null,
+        name: state?.name || 'Unknown',
+        presetName: state?.presetName || '',
+    };
+    if (ref.id === null && state?.prompts && state?.promptOrder) {
+        ref.contentHash = state.contentHash || getContentHash(state);
+    }
+    return ref;
+}
+
+function revealBlindMapping(votePanel, slots, displayOrder) {
+    const mapping = displayOrder.map((slotIndex, position) => {
+        const slot = slots[slotIndex];
+        const panel = document.querySelector(`.abtest-result-panel[data-slot-index="${slotIndex}"] .abtest-result-label`);
+        if (panel) {
+            panel.textContent = `${getBlindLabel(position, displayOrder.length)} · ${slot.label}: ${slot.state?.name || 'Unknown'}`;
+        }
+        return `<div><strong>${getBlindLabel(position, displayOrder.length)}</strong> = ${escapeHtml(slot.label)} · ${escapeHtml(slot.state?.name || 'Unknown')}</div>`;
+    }).join('');
+    
+    const reveal = votePanel.querySelector('.abtest-vote-reveal');
+    if (reveal) {
+        reveal.innerHTML = mapping;
+    }
+    setBlindMask(false);
+    
+    const diffResponsesBtn = document.getElementById('abtest-diff-responses');
+    if (diffResponsesBtn) {
+        diffResponsesBtn.style.display = '';
+    }
+    
+    const judgePanel = document.getElementById('abtest-judge');
+    if (judgePanel) {
+        judgePanel.dataset.hidden = 'false';
+        showJudgePanel(judgePanel);
+    }
+}
+
+function getSnapshotRefLabel(snapshot) {
+    return snapshot.contentHash ? `${snapshot.name} (${snapshot.contentHash.substring(0, 6)})` : snapshot.name;
+}
+
+function getSnapshotRefKey(snapshot) {
+    if (snapshot.id !== null && snapshot.id !== undefined) return `id:${snapshot.id}`;
+    return snapshot.contentHash ? `hash:${snapshot.contentHash}` : `name:${snapshot.name}`;
+}
+
+function summarizeVotes(votes) {
+    const pairs = new Map();
+    
+    for (const vote of votes) {
+        const keyA = getSnapshotRefKey(vote.snapshotA);
+        const keyB = getSnapshotRefKey(vote.snapshotB);
+        const swapped = keyA > keyB;
+        const first = swapped ? vote.snapshotB : vote.snapshotA;
+        const second = swapped ? vote.snapshotA : vote.snapshotB;
+        const pairKey = swapped ? `${keyB}|${keyA}` : `${keyA}|${keyB}`;
+        
+        if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, { first, second, firstWins: 0, secondWins: 0, ties: 0, bothBad: 0 });
+        }
+        
+        const pair = pairs.get(pairKey);
+        if (vote.result === 'tie') {
+            pair.ties++;
+        } else if (vote.result === 'both_bad') {
+            pair.bothBad++;
+        } else if ((vote.result === 'A') !== swapped) {
+            pair.firstWins++;
+        } else {
+            pair.secondWins++;
+        }
+    }
+    
+    return [...pairs.values()];
+}
+
+async function showVoteStats() {
+    let votes = [];
+    try {
+        votes = await getAllVotes();
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to load votes:`, error);
+        toastr.error('Failed to load votes');
+        return;
+    }
+    
+    const pairs = summarizeVotes(votes);
+    
+    const rowsHtml = pairs.map(pair => `
+        <tr>
+            <td>${escapeHtml(getSnapshotRefLabel(pair.first))}</td>
+            <td class="abtest-vote-count">${pair.firstWins}</td>
+            <td class="abtest-vote-count">${pair.ties}</td>
+            <td class="abtest-vote-count">${pair.bothBad}</td>
+            <td class="abtest-vote-count">${pair.secondWins}</td>
+            <td>${escapeHtml(getSnapshotRefLabel(pair.second))}</td>
+        </tr>
+    `).join('');
+    
+    const content = `
+        <div class="abtest-viewer">
             <div class="abtest-viewer-header">
-                <span class="abtest-viewer-title">${escapeHtml(snapshot.name)}</span>
-                <span class="abtest-viewer-preset">${escapeHtml(snapshot.presetName || 'Unknown')}</span>
+                <span class="abtest-viewer-title">Blind Vote Stats</span>
+                <span class="abtest-viewer-preset">${votes.length} votes</span>
             </div>
             <div class="abtest-viewer-body">
-                ${promptsHtml || '<div class="abtest-empty">No prompts found</div>'}
+                ${pairs.length === 0
+                    ? '<div class="abtest-empty">No votes recorded yet</div>'
+                    : `
+                        <table class="abtest-table">
+                            <thead>
+                                <tr>
+                                    <th>Snapshot</th>
+                                    <th>Wins</th>
+                                    <th>Ties</th>
+                                    <th>Both bad</th>
+                                    <th>Wins</th>
+                                    <th>Snapshot</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rowsHtml}</tbody>
+                        </table>
+                    `
+                }
             </div>
         </div>
     `;
     
-    const popup = new Popup(viewerContent, POPUP_TYPE.TEXT, '', {
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    popup.show();
+}
+
+function collectOutcomes(votes, runs, source) {
+    const outcomes = [];
+    
+    if (source !== 'judge') {
+        for (const vote of votes) {
+            outcomes.push({
+                snapshotA: vote.snapshotA,
+                snapshotB: vote.snapshotB,
+                result: vote.result === 'both_bad' ? 'tie' : vote.result,
+                timestamp: vote.timestamp,
+            });
+        }
+    }
+    
+    if (source !== 'votes') {
+        for (const run of runs) {
+            for (const verdict of run.verdicts || []) {
+                if (verdict.error || !verdict.winner) continue;
+                outcomes.push({
+                    snapshotA: verdict.snapshotA,
+                    snapshotB: verdict.snapshotB,
+                    result: verdict.winner === 'tie' ? 'tie' : verdict.winner === verdict.slotA ? 'A' : 'B',
+                    timestamp: run.timestamp,
+                });
+            }
+        }
+    }
+    
+    return outcomes.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+function wilsonInterval(score, games) {
+    if (games === 0) return [0, 1];
+    
+    const z2 = CONFIDENCE_Z * CONFIDENCE_Z;
+    const center = (score + z2 / (2 * games)) / (1 + z2 / games);
+    const margin = (CONFIDENCE_Z / (1 + z2 / games)) * Math.sqrt(score * (1 - score) / games + z2 / (4 * games * games));
+    return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+function computeLeaderboard(outcomes, snapshots) {
+    const entries = new Map(snapshots.map(snapshot => [snapshot.id, {
+        snapshot,
+        rating: ELO_INITIAL_RATING,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+    }]));
+    
+    const getEntry = (ref) => {
+        if (ref?.id === null || ref?.id === undefined) return null;
+        if (!entries.has(ref.id)) {
+            entries.set(ref.id, { snapshot: null, rating: ELO_INITIAL_RATING, wins: 0, losses: 0, ties: 0 });
+        }
+        return entries.get(ref.id);
+    };
+    
+    for (const outcome of outcomes) {
+        const entryA = getEntry(outcome.snapshotA);
+        const entryB = getEntry(outcome.snapshotB);
+        if (!entryA || !entryB || entryA === entryB) continue;
+        
+        const scoreA = outcome.result === 'A' ? 1 : outcome.result === 'B' ? 0 : 0.5;
+        const expectedA = 1 / (1 + Math.pow(10, (entryB.rating - entryA.rating) / 400));
+        const change = ELO_K_FACTOR * (scoreA - expectedA);
+        entryA.rating += change;
+        entryB.rating -= change;
+        
+        if (scoreA === 1) {
+            entryA.wins++;
+            entryB.losses++;
+        } else if (scoreA === 0) {
+            entryA.losses++;
+            entryB.wins++;
+        } else {
+            entryA.ties++;
+            entryB.ties++;
+        }
+    }
+    
+    return [...entries.values()]
+        .filter(entry => entry.snapshot)
+        .map(entry => {
+            const games = entry.wins + entry.losses + entry.ties;
+            const winRate = games > 0 ? (entry.wins + entry.ties / 2) / games : 0;
+            return { ...entry, games, winRate, interval: wilsonInterval(winRate, games) };
+        })
+        .sort((a, b) => b.rating - a.rating || b.games - a.games);
+}
+
+function renderLeaderboard(entries) {
+    if (entries.every(entry => entry.games === 0)) {
+        return '<div class="abtest-empty">No outcomes recorded yet</div>';
+    }
+    
+    const formatPercent = (value) => `${Math.round(value * 100)}%`;
+    const rowsHtml = entries.map((entry, index) => `
+        <tr class="${entry.games === 0 ? 'abtest-leaderboard-unrated' : ''}">
+            <td class="abtest-vote-count">${index + 1}</td>
+            <td>
+                <span class="abtest-snapshot-name">${escapeHtml(entry.snapshot.name)}</span>
+                <span class="abtest-slot-preset">${escapeHtml(entry.snapshot.presetName || '')}</span>
+            </td>
+            <td class="abtest-vote-count">${Math.round(entry.rating)}</td>
+            <td class="abtest-vote-count">${entry.wins}</td>
+            <td class="abtest-vote-count">${entry.losses}</td>
+            <td class="abtest-vote-count">${entry.ties}</td>
+            <td class="abtest-vote-count">
+                ${entry.games > 0 ? `${formatPercent(entry.winRate)} <span class="abtest-leaderboard-interval">(${formatPercent(entry.interval[0])}–${formatPercent(entry.interval[1])})</span>` : '—'}
+            </td>
+        </tr>
+    `).join('');
+    
+    return `
+        <table class="abtest-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Snapshot</th>
+                    <th>Elo</th>
+                    <th>W</th>
+                    <th>L</th>
+                    <th>T</th>
+                    <th title="Ties count as half a win; 95% Wilson interval">Win rate (95% CI)</th>
+                </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+}
+
+async function showLeaderboard() {
+    let votes = [];
+    try {
+        votes = await getAllVotes();
+        await loadSnapshots();
+        await loadRuns();
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to load outcomes:`, error);
+        toastr.error('Failed to load outcomes');
+        return;
+    }
+    
+    const render = (source) => renderLeaderboard(computeLeaderboard(collectOutcomes(votes, currentRuns, source), currentSnapshots));
+    
+    const content = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">Leaderboard</span>
+                <select class="abtest-select" id="abtest-leaderboard-source">
+                    <option value="all">Votes + judge</option>
+                    <option value="votes">Votes only</option>
+                    <option value="judge">Judge only</option>
+                </select>
+            </div>
+            <div class="abtest-viewer-body" id="abtest-leaderboard-body">${render('all')}</div>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
+        large: true,
+        wide: true,
+        okButton: 'Close',
+        cancelButton: false
+    });
+    
+    const sourceSelect = popup.dlg.querySelector('#abtest-leaderboard-source');
+    sourceSelect?.addEventListener('change', () => {
+        popup.dlg.querySelector('#abtest-leaderboard-body').innerHTML = render(sourceSelect.value);
+    });
+    
+    popup.show();
+}
+
+async function loadRuns() {
+    try {
+        currentRuns = await getAllRuns();
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to load runs:`, error);
+        currentRuns = [];
+    }
+}
+
+function getChatFingerprint() {
+    const context = getContext();
+    const lastMessage = context.chat?.[context.chat.length - 1];
+    
+    return {
+        chatId: context.getCurrentChatId?.() || null,
+        length: context.chat?.length || 0,
+        lastMessage: (lastMessage?.mes || '').substring(0, 100),
+    };
+}
+
+async function recordRun(slots, testMessage, blindMode, suite = null) {
+    const run = {
+        testMessage,
+        chatFingerprint: getChatFingerprint(),
+        slots: slots.map(slot => ({
+            label: slot.label,
+            snapshot: describeSnapshotRef(slot.state),
+            samples: slot.samples,
+            checkTotals: computeCheckTotals(slot.samples),
+        })),
+        blind: blindMode,
+        orderScope: getOrderScope(),
+        timestamp: Date.now(),
+    };
+    if (suite) {
+        run.suite = { id: suite.id, name: suite.name };
+    }
+    
+    try {
+        const id = await saveRun(run);
+        await loadRuns();
+        refreshHistoryList();
+        return id;
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to save run:`, error);
+        return null;
+    }
+}
+
+function runMatchesFilter(run, filter) {
+    if (!filter || filter === 'all') return true;
+    
+    const [kind, ...rest] = filter.split(':');
+    const value = rest.join(':');
+    
+    return run.slots.some(slot => kind === 'preset'
+        ? slot.snapshot.presetName === value
+        : getSnapshotRefKey(slot.snapshot) === value);
+}
+
+function renderHistoryFilterOptions(runs, selected) {
+    const snapshots = new Map();
+    const presets = new Set();
+    
+    for (const run of runs) {
+        for (const slot of run.slots) {
+            snapshots.set(getSnapshotRefKey(slot.snapshot), getSnapshotRefLabel(slot.snapshot));
+            if (slot.snapshot.presetName) {
+                presets.add(slot.snapshot.presetName);
+            }
+        }
+    }
+    
+    const option = (value, label) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+    
+    return `
+        ${option('all', 'All runs')}
+        <optgroup label="Snapshots">
+            ${[...snapshots].map(([key, name]) => option(`snapshot:${key}`, name)).join('')}
+        </optgroup>
+        <optgroup label="Presets">
+            ${[...presets].map(name => option(`preset:${name}`, name)).join('')}
+        </optgroup>
+    `;
+}
+
+function renderHistoryList(runs, filter) {
+    const filtered = runs
+        .filter(run => runMatchesFilter(run, filter))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    
+    if (filtered.length === 0) {
+        return '<div class="abtest-empty">No test runs recorded yet</div>';
+    }
+    
+    return filtered.map(run => {
+        const slotNames = run.slots.map(slot => `${slot.label}: ${slot.snapshot.name}`).join(' vs ');
+        const message = run.testMessage || '(current chat)';
+        return `
+            <div class="abtest-history-item" data-id="${run.id}">
+                <div class="abtest-history-info">
+                    <span class="abtest-history-slots">${escapeHtml(slotNames)}</span>
+                    <span class="abtest-history-meta">
+                        ${new Date(run.timestamp).toLocaleString()}
+                        · ${run.chatFingerprint?.length ?? 0} msgs
+                        ${run.blind ? '· <i class="fa-solid fa-eye-slash" title="Blind run"></i>' : ''}
+                        ${run.suite ? `· <i class="fa-solid fa-list-check" title="Suite run"></i> ${escapeHtml(run.suite.name)}` : ''}
+                    </span>
+                    <span class="abtest-history-message">${escapeHtml(message.substring(0, 120))}</span>
+                </div>
+                <div class="abtest-snapshot-actions">
+                    <button class="abtest-btn-icon abtest-history-open-btn" data-id="${run.id}" title="Open run">
+                        <i class="fa-solid fa-up-right-from-square"></i>
+                    </button>
+                    <button class="abtest-btn-icon abtest-history-delete-btn" data-id="${run.id}" title="Delete">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function refreshHistoryList() {
+    const list = document.getElementById('abtest-history-list');
+    const filterSelect = document.getElementById('abtest-history-filter');
+    if (!list) return;
+    
+    const filter = filterSelect?.value || 'all';
+    if (filterSelect) {
+        filterSelect.innerHTML = renderHistoryFilterOptions(currentRuns, filter);
+    }
+    list.innerHTML = renderHistoryList(currentRuns, filterSelect?.value || 'all');
+}
+
+async function pruneOldRuns() {
+    const input = await Popup.show.input('Delete Old Runs', 'Delete test runs older than how many days?', '30');
+    if (input === null || input === undefined || input === false) return;
+    
+    const days = parseInt(input);
+    if (isNaN(days) || days < 0) {
+        toastr.warning('Please enter a valid number of days');
+        return;
+    }
+    
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const oldRuns = currentRuns.filter(run => run.timestamp < cutoff);
+    
+    for (const run of oldRuns) {
+        await deleteRun(run.id);
+    }
+    
+    await loadRuns();
+    refreshHistoryList();
+    toastr.success(`Deleted ${oldRuns.length} old runs`);
+}
+
+function showRunViewer(run) {
+    const fingerprint = run.chatFingerprint || {};
+    const panelsHtml = run.slots.map((slot, index) => renderResultPanel(
+        { label: slot.label, samples: slot.samples || [] },
+        index,
+        `Response ${slot.label} · ${slot.snapshot.name}`
+    )).join('');
+    
+    const content = `
+        <div class="abtest-viewer abtest-run-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">${new Date(run.timestamp).toLocaleString()}</span>
+                <span class="abtest-viewer-preset">${escapeHtml(run.slots.map(slot => slot.snapshot.presetName || 'Unknown').join(' vs '))}</span>
+            </div>
+            <div class="abtest-run-meta">
+                <div><strong>Test message:</strong> ${escapeHtml(run.testMessage) || '<em>(current chat)</em>'}</div>
+                <div><strong>Chat:</strong> ${escapeHtml(fingerprint.chatId || 'Unknown')} · ${fingerprint.length ?? 0} messages</div>
+                ${fingerprint.lastMessage ? `<div><strong>Last message:</strong> ${escapeHtml(fingerprint.lastMessage)}</div>` : ''}
+            </div>
+            <div class="abtest-results-grid" style="--abtest-columns: ${run.slots.length};">${panelsHtml}</div>
+            ${run.verdicts?.length ? `<div class="abtest-judge">${renderJudgeVerdicts(run.verdicts)}</div>` : ''}
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.TEXT, '', {
         large: true,
         wide: true,
         okButton: 'Close',
@@ -761,223 +4771,770 @@ function showPromptViewer(snapshot) {
     popup.show();
 }
 
-let currentDifferences = [];
-
-function updateDiffDisplay() {
-    const diffSection = document.getElementById('abtest-diff-section');
-    const diffList = document.getElementById('abtest-diff-list');
+async function loadSuites() {
+    try {
+        currentSuites = await getAllSuites();
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to load test suites:`, error);
+        currentSuites = [];
+    }
+}
+
+function renderSuiteOptions(suites, selectedId = null) {
+    if (suites.length === 0) {
+        return '<option value="">No test suites</option>';
+    }
+    
+    return suites.map(suite =>
+        `<option value="${suite.id}" ${suite.id === selectedId ? 'selected' : ''}>${escapeHtml(suite.name)} (${suite.messages.length})</option>`
+    ).join('');
+}
+
+function refreshSuiteSelect(selectedId = null) {
+    const select = document.getElementById('abtest-suite-select');
+    if (!select) return;
+    
+    const currentId = selectedId ?? parseInt(select.value);
+    select.innerHTML = renderSuiteOptions(currentSuites, currentId);
+}
+
+function getSelectedSuite() {
+    const id = parseInt(document.getElementById('abtest-suite-select')?.value);
+    return currentSuites.find(suite => suite.id === id) || null;
+}
+
+function parseSuiteMessages(text) {
+    return text
+        .split(new RegExp(`^\\s*${SUITE_MESSAGE_SEPARATOR}\\s*$`, 'm'))
+        .map(message => message.trim())
+        .filter(Boolean);
+}
+
+async function showSuiteEditor(suite = null) {
+    const messagesText = (suite?.messages || []).join(`\n${SUITE_MESSAGE_SEPARATOR}\n`);
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">${suite ? 'Edit Test Suite' : 'New Test Suite'}</div>
+            <label class="abtest-preset-import-field">
+                <span>Name</span>
+                <input type="text" class="text_pole" id="abtest-suite-name" value="${escapeHtml(suite?.name || '')}">
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Test messages</span>
+                <textarea class="abtest-input abtest-suite-messages" id="abtest-suite-messages">${escapeHtml(messagesText)}</textarea>
+            </label>
+            <div class="abtest-preset-import-hint">Separate messages with a line containing only <code>${SUITE_MESSAGE_SEPARATOR}</code>.</div>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        wide: true,
+        okButton: 'Save Suite',
+        cancelButton: 'Cancel'
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const name = popup.dlg.querySelector('#abtest-suite-name')?.value?.trim();
+    const messages = parseSuiteMessages(popup.dlg.querySelector('#abtest-suite-messages')?.value || '');
+    
+    if (!name) {
+        toastr.warning('Please enter a suite name');
+        return;
+    }
+    if (messages.length === 0) {
+        toastr.warning('Please enter at least one test message');
+        return;
+    }
+    
+    const saved = { ...suite, name, messages, timestamp: Date.now() };
+    const id = await saveSuite(saved);
+    await loadSuites();
+    refreshSuiteSelect(id);
+    toastr.success(`Test suite saved: ${name}`);
+}
+
+function renderSuiteMatrix(messages, slots, cells) {
+    const judgeEnabled = getSettings().judgeEnabled;
+    const headerHtml = slots.map(slot =>
+        `<th title="${escapeHtml(slot.state.name)}">${escapeHtml(slot.label)} · ${escapeHtml(slot.state.name)}</th>`
+    ).join('');
+    
+    const rowsHtml = messages.map((message, row) => `
+        <tr>
+            <th class="abtest-suite-message" title="${escapeHtml(message)}">${escapeHtml(message.substring(0, 120))}</th>
+            ${slots.map((_, column) => `<td data-row="${row}" data-column="${column}">${renderSuiteCell(cells[row]?.[column])}</td>`).join('')}
+            ${judgeEnabled ? `<td data-row="${row}" data-judge><span class="abtest-judge-pending">—</span></td>` : ''}
+        </tr>
+    `).join('');
+    
+    return `
+        <table class="abtest-suite-table">
+            <thead><tr><th>Message</th>${headerHtml}${judgeEnabled ? '<th>Judge</th>' : ''}</tr></thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+}
+
+function renderSuiteCell(sample) {
+    if (!sample) {
+        return '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i></div>';
+    }
+    
+    if (sample.error) {
+        return `<div class="abtest-error">${escapeHtml(sample.error)}</div>`;
+    }
+    
+    return `
+        <details class="abtest-suite-cell">
+            <summary>${escapeHtml(sample.text.substring(0, 160)) || '<em>No response</em>'}</summary>
+            ${renderCheckBadges(sample.checks || [])}
+            <div class="abtest-response">${escapeHtml(sample.text)}</div>
+        </details>
+    `;
+}
+
+async function runTestSuite(suite) {
+    if (!suite) {
+        toastr.warning('Please select a test suite');
+        return;
+    }
     
-    if (!diffSection || !diffList) return;
+    const states = getRunStates();
+    if (!states) return;
     
-    if (selectedSlotA && selectedSlotB) {
-        currentDifferences = getPromptDifferences(selectedSlotA, selectedSlotB);
-        diffList.innerHTML = renderDifferences(currentDifferences);
-        diffSection.style.display = 'block';
-        
-        diffList.querySelectorAll('.abtest-diff-clickable').forEach(item => {
-            item.addEventListener('click', () => {
-                const index = parseInt(item.dataset.diffIndex);
-                if (!isNaN(index) && currentDifferences[index]) {
-                    showDiffCompareModal(currentDifferences[index]);
-                }
-            });
-        });
-    } else {
-        diffSection.style.display = 'none';
-        currentDifferences = [];
+    const resultsSection = document.getElementById('abtest-results');
+    const resultsGrid = document.getElementById('abtest-results-grid');
+    const suiteMatrix = document.getElementById('abtest-suite-matrix');
+    const votePanel = document.getElementById('abtest-vote');
+    const responseDiff = document.getElementById('abtest-response-diff');
+    const diffResponsesBtn = document.getElementById('abtest-diff-responses');
+    const runSuiteBtn = document.getElementById('abtest-run-suite');
+    const judgePanel = document.getElementById('abtest-judge');
+    
+    if (!resultsSection || !suiteMatrix) return;
+    
+    const signal = beginRun();
+    if (!signal) return;
+    
+    const slots = states.map((state, index) => ({ label: getSlotLabel(index), state, samples: [] }));
+    const cells = suite.messages.map(() => []);
+    
+    resultsSection.style.display = 'block';
+    suiteMatrix.style.display = '';
+    suiteMatrix.innerHTML = renderSuiteMatrix(suite.messages, slots, cells);
+    for (const element of [resultsGrid, votePanel, responseDiff, diffResponsesBtn]) {
+        if (element) {
+            element.style.display = 'none';
+        }
     }
-}
-
-function computeLineDiff(textA, textB) {
-    const linesA = textA.split('\n');
-    const linesB = textB.split('\n');
-    const maxLen = Math.max(linesA.length, linesB.length);
+    if (judgePanel) {
+        judgePanel.style.display = 'none';
+        judgePanel.innerHTML = '';
+        judgePanel.dataset.hidden = 'false';
+    }
+    setBlindMask(false);
+    lastRunSlots = [];
     
-    const resultA = [];
-    const resultB = [];
+    if (runSuiteBtn) {
+        runSuiteBtn.disabled = true;
+        runSuiteBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Running...';
+    }
     
-    for (let i = 0; i < maxLen; i++) {
-        const lineA = linesA[i];
-        const lineB = linesB[i];
-        
-        if (lineA === undefined) {
-            resultA.push({ text: '', type: 'empty' });
-            resultB.push({ text: lineB, type: 'added' });
-        } else if (lineB === undefined) {
-            resultA.push({ text: lineA, type: 'removed' });
-            resultB.push({ text: '', type: 'empty' });
-        } else if (lineA === lineB) {
-            resultA.push({ text: lineA, type: 'same' });
-            resultB.push({ text: lineB, type: 'same' });
+    try {
+        for (let row = 0; row < suite.messages.length && !signal.aborted; row++) {
+            const message = suite.messages[row];
+            const rowSlots = slots.map(slot => ({ ...slot, samples: [] }));
+            
+            await generateAllSlots(rowSlots, message, 1, () => null, signal);
+            
+            rowSlots.forEach((slot, column) => {
+                cells[row][column] = slot.samples[0];
+                const cell = suiteMatrix.querySelector(`td[data-row="${row}"][data-column="${column}"]`);
+                if (cell) {
+                    cell.innerHTML = renderSuiteCell(cells[row][column]);
+                }
+            });
+            
+            const runId = await recordRun(rowSlots, message, false, suite);
+            
+            if (getSettings().judgeEnabled && !signal.aborted) {
+                const verdicts = await judgeSlots(rowSlots, message, signal);
+                await storeVerdicts(runId, verdicts);
+                
+                const judgeCell = suiteMatrix.querySelector(`td[data-row="${row}"][data-judge]`);
+                if (judgeCell) {
+                    judgeCell.innerHTML = renderJudgeVerdicts(verdicts, true);
+                }
+            }
+        }
+        if (signal.aborted) {
+            toastr.info(`Suite "${suite.name}" stopped`);
         } else {
-            resultA.push({ text: lineA, type: 'changed', wordDiff: computeWordDiff(lineA, lineB).diffA });
-            resultB.push({ text: lineB, type: 'changed', wordDiff: computeWordDiff(lineA, lineB).diffB });
+            toastr.success(`Suite "${suite.name}" finished`);
+        }
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Test suite error:`, error);
+        toastr.error('Failed to run test suite');
+    } finally {
+        endRun();
+        if (runSuiteBtn) {
+            runSuiteBtn.disabled = false;
+            runSuiteBtn.innerHTML = '<i class="fa-solid fa-list-check"></i> Run Suite';
         }
     }
+}
+
+function exportSnapshots(snapshots, fileName) {
+    const bundle = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        snapshots,
+    };
     
-    return { resultA, resultB };
+    const safeName = fileName.replace(/[\\/:*?"<>|]+/g, '_');
+    download(JSON.stringify(bundle, null, 4), `${safeName}.json`, 'application/json');
+    toastr.success(`Exported ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`);
 }
 
-function computeWordDiff(lineA, lineB) {
-    const wordsA = lineA.split(/(\s+)/);
-    const wordsB = lineB.split(/(\s+)/);
+function normalizeImportedSnapshot(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    if (!Array.isArray(raw.prompts) || !Array.isArray(raw.promptOrder)) return null;
+    if (raw.prompts.some(p => !p || typeof p.identifier !== 'string')) return null;
+    if (raw.promptOrder.some(o => !o || !Array.isArray(o.order))) return null;
     
-    const diffA = [];
-    const diffB = [];
+    const timestamp = Number(raw.timestamp) || Date.now();
+    const presetName = typeof raw.presetName === 'string' ? raw.presetName : 'Unknown Preset';
     
-    const maxLen = Math.max(wordsA.length, wordsB.length);
+    return {
+        sourceId: Number.isInteger(raw.id) ? raw.id : null,
+        sourceParentId: Number.isInteger(raw.parentId) ? raw.parentId : null,
+        prompts: raw.prompts,
+        promptOrder: raw.promptOrder,
+        settings: Object.fromEntries(GENERATION_SETTINGS
+            .filter(({ key }) => raw.settings?.[key] !== undefined)
+            .map(({ key }) => [key, raw.settings[key]])),
+        enabledCount: computeEnabledCount(raw.prompts, raw.promptOrder),
+        tags: Array.isArray(raw.tags) ? raw.tags.filter(tag => typeof tag === 'string') : [],
+        notes: typeof raw.notes === 'string' ? raw.notes : '',
+        presetName,
+        timestamp,
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name : `[${presetName}] ${new Date(timestamp).toLocaleString()}`,
+    };
+}
+
+function parseSnapshotBundle(text) {
+    const data = JSON.parse(text);
     
-    for (let i = 0; i < maxLen; i++) {
-        const wordA = wordsA[i];
-        const wordB = wordsB[i];
-        
-        if (wordA === undefined) {
-            diffB.push({ text: wordB, type: 'added' });
-        } else if (wordB === undefined) {
-            diffA.push({ text: wordA, type: 'removed' });
-        } else if (wordA === wordB) {
-            diffA.push({ text: wordA, type: 'same' });
-            diffB.push({ text: wordB, type: 'same' });
-        } else {
-            diffA.push({ text: wordA, type: 'removed' });
-            diffB.push({ text: wordB, type: 'added' });
+    if (data?.format === EXPORT_FORMAT) {
+        if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+            throw new Error(`Unsupported bundle version: ${data.version}`);
+        }
+        if (!Array.isArray(data.snapshots)) {
+            throw new Error('Bundle has no snapshots');
         }
+        return data.snapshots;
     }
     
-    return { diffA, diffB };
+    if (Array.isArray(data)) {
+        return data;
+    }
+    
+    return [data];
 }
 
-function renderDiffLine(lineData) {
-    if (lineData.type === 'empty') {
-        return '<div class="abtest-diff-line abtest-diff-line-empty">&nbsp;</div>';
+function isSameSnapshotContent(a, b) {
+    return JSON.stringify(a.prompts) === JSON.stringify(b.prompts)
+        && JSON.stringify(a.promptOrder) === JSON.stringify(b.promptOrder);
+}
+
+async function importSnapshotsFromFile(file) {
+    let rawSnapshots;
+    try {
+        rawSnapshots = parseSnapshotBundle(await getFileText(file));
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to read import file:`, error);
+        toastr.error(`Invalid snapshot file: ${error.message}`);
+        return;
     }
     
-    if (lineData.type === 'same') {
-        return `<div class="abtest-diff-line">${escapeHtml(lineData.text)}</div>`;
+    const candidates = rawSnapshots.map(normalizeImportedSnapshot).filter(Boolean);
+    const invalidCount = rawSnapshots.length - candidates.length;
+    
+    if (candidates.length === 0) {
+        toastr.error('No valid snapshots found in file');
+        return;
+    }
+    if (invalidCount > 0) {
+        toastr.warning(`${invalidCount} invalid snapshot${invalidCount === 1 ? '' : 's'} skipped`);
     }
     
-    if (lineData.wordDiff) {
-        const html = lineData.wordDiff.map(w => {
-            if (w.type === 'same') {
-                return escapeHtml(w.text);
-            } else if (w.type === 'added') {
-                return `<span class="abtest-word-added">${escapeHtml(w.text)}</span>`;
-            } else if (w.type === 'removed') {
-                return `<span class="abtest-word-removed">${escapeHtml(w.text)}</span>`;
+    const selected = await showImportPreview(candidates);
+    if (selected.length === 0) return;
+    
+    const existingNames = new Set(currentSnapshots.map(s => s.name));
+    const importedIds = new Map();
+    const importedSnapshots = [];
+    
+    for (const candidate of selected) {
+        const { sourceParentId, ...snapshot } = structuredClone(candidate);
+        
+        let name = snapshot.name;
+        let suffix = 1;
+        while (existingNames.has(name)) {
+            name = `${snapshot.name} (imported${suffix > 1 ? ` ${suffix}` : ''})`;
+            suffix++;
+        }
+        snapshot.name = name;
+        snapshot.parentId = null;
+        snapshot.contentHash = getContentHash(snapshot);
+        existingNames.add(name);
+        
+        try {
+            snapshot.id = await saveSnapshot(snapshot);
+            if (snapshot.sourceId !== null) {
+                importedIds.set(snapshot.sourceId, snapshot.id);
             }
-            return escapeHtml(w.text);
-        }).join('');
-        return `<div class="abtest-diff-line abtest-diff-line-${lineData.type}">${html}</div>`;
+            importedSnapshots.push({ snapshot, sourceParentId });
+        } catch (error) {
+            console.error(`[${EXTENSION_NAME}] Failed to import snapshot:`, error);
+        }
     }
     
-    const className = lineData.type === 'added' ? 'abtest-diff-line-added' : 
-                      lineData.type === 'removed' ? 'abtest-diff-line-removed' : '';
-    return `<div class="abtest-diff-line ${className}">${escapeHtml(lineData.text)}</div>`;
+    for (const { snapshot, sourceParentId } of importedSnapshots) {
+        if (!importedIds.has(sourceParentId)) continue;
+        
+        snapshot.parentId = importedIds.get(sourceParentId);
+        try {
+            await updateSnapshot(snapshot);
+        } catch (error) {
+            console.error(`[${EXTENSION_NAME}] Failed to link imported snapshot:`, error);
+        }
+    }
+    
+    const imported = importedSnapshots.length;
+    await loadSnapshots();
+    refreshSnapshotsList();
+    toastr.success(`Imported ${imported} snapshot${imported === 1 ? '' : 's'}`);
 }
 
-function showDiffCompareModal(diff) {
-    const contentA = diff.contentA || '(empty)';
-    const contentB = diff.contentB || '(empty)';
-    
-    const { resultA, resultB } = computeLineDiff(contentA, contentB);
-    
-    const htmlA = resultA.map(renderDiffLine).join('');
-    const htmlB = resultB.map(renderDiffLine).join('');
-    
-    const modalContent = `
-        <div class="abtest-compare-modal">
-            <div class="abtest-compare-header">
-                <span class="abtest-compare-title">${escapeHtml(diff.name)}</span>
-                <span class="abtest-compare-subtitle">Content Comparison (changes highlighted)</span>
-            </div>
-            <div class="abtest-compare-body">
-                <div class="abtest-compare-panel abtest-compare-panel-a">
-                    <div class="abtest-compare-panel-header">
-                        <span class="abtest-compare-panel-label">A</span>
-                        <span class="abtest-compare-panel-name">${escapeHtml(selectedSlotA?.name || 'Snapshot A')}</span>
-                    </div>
-                    <div class="abtest-compare-panel-content abtest-diff-content">${htmlA}</div>
-                </div>
-                <div class="abtest-compare-panel abtest-compare-panel-b">
-                    <div class="abtest-compare-panel-header">
-                        <span class="abtest-compare-panel-label">B</span>
-                        <span class="abtest-compare-panel-name">${escapeHtml(selectedSlotB?.name || 'Snapshot B')}</span>
-                    </div>
-                    <div class="abtest-compare-panel-content abtest-diff-content">${htmlB}</div>
+async function showImportPreview(candidates) {
+    const itemsHtml = candidates.map((snapshot, index) => {
+        const duplicate = currentSnapshots.some(existing => isSameSnapshotContent(existing, snapshot));
+        const nameTaken = currentSnapshots.some(existing => existing.name === snapshot.name);
+        return `
+            <div class="abtest-import-item">
+                <label class="abtest-option">
+                    <input type="checkbox" class="abtest-import-check" data-index="${index}" ${duplicate ? '' : 'checked'}>
+                    <span class="abtest-snapshot-name">${escapeHtml(snapshot.name)}</span>
+                </label>
+                <div class="abtest-snapshot-meta">
+                    <span class="abtest-preset-badge">${escapeHtml(snapshot.presetName)}</span>
+                    <span>${snapshot.prompts.length} prompts</span>
+                    ${duplicate ? '<span class="abtest-import-flag">Identical snapshot exists</span>' : ''}
+                    ${!duplicate && nameTaken ? '<span class="abtest-import-flag">Name exists, will be renamed</span>' : ''}
                 </div>
+                <button class="abtest-btn-icon abtest-import-preview-btn" data-index="${index}" title="Preview">
+                    <i class="fa-solid fa-eye"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+    
+    const content = `
+        <div class="abtest-viewer">
+            <div class="abtest-viewer-header">
+                <span class="abtest-viewer-title">Import Snapshots</span>
+                <span class="abtest-viewer-preset">${candidates.length} found</span>
             </div>
+            <div class="abtest-viewer-body">${itemsHtml}</div>
         </div>
     `;
     
-    const popup = new Popup(modalContent, POPUP_TYPE.TEXT, '', {
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
         large: true,
         wide: true,
-        okButton: 'Close',
-        cancelButton: false
+        okButton: 'Import Selected',
+        cancelButton: 'Cancel'
     });
     
-    popup.show();
+    popup.dlg.addEventListener('click', (e) => {
+        const previewBtn = e.target.closest('.abtest-import-preview-btn');
+        if (previewBtn) {
+            const snapshot = candidates[parseInt(previewBtn.dataset.index)];
+            if (snapshot) {
+                showPromptViewer(snapshot);
+            }
+        }
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return [];
+    
+    return [...popup.dlg.querySelectorAll('.abtest-import-check:checked')]
+        .map(check => candidates[parseInt(check.dataset.index)])
+        .filter(Boolean);
 }
 
-async function promptForName() {
-    const result = await Popup.show.input('Snapshot Name', 'Enter a name for this snapshot:', `Snapshot ${new Date().toLocaleString()}`);
-    return result;
+async function showPresetSnapshotDialog() {
+    const presets = getAvailablePresets();
+    const currentPreset = getCurrentPresetName();
+    const presetOptions = presets.map(p =>
+        `<option value="${escapeHtml(p)}" ${p === currentPreset ? 'selected' : ''}>${escapeHtml(p)}</option>`
+    ).join('');
+    
+    const content = `
+        <div class="abtest-preset-import">
+            <div class="abtest-section-title">Snapshot from Preset</div>
+            <div class="abtest-preset-import-hint">Build a snapshot without switching the active preset.</div>
+            <label class="abtest-preset-import-field">
+                <span>Installed preset</span>
+                <select class="abtest-select" id="abtest-preset-source">${presetOptions}</select>
+            </label>
+            <label class="abtest-preset-import-field">
+                <span>Or a Chat Completion preset file (.json)</span>
+                <input type="file" id="abtest-preset-file" accept=".json,application/json">
+            </label>
+        </div>
+    `;
+    
+    const popup = new Popup(content, POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Create Snapshot',
+        cancelButton: 'Cancel'
+    });
+    
+    const result = await popup.show();
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+    
+    const file = popup.dlg.querySelector('#abtest-preset-file')?.files?.[0];
+    const selectedPreset = popup.dlg.querySelector('#abtest-preset-source')?.value;
+    
+    let snapshot = null;
+    if (file) {
+        try {
+            const preset = JSON.parse(await getFileText(file));
+            snapshot = buildSnapshotFromPreset(preset, file.name.replace(/\.json$/i, ''));
+        } catch (error) {
+            console.error(`[${EXTENSION_NAME}] Failed to read preset file:`, error);
+            toastr.error(`Invalid preset file: ${error.message}`);
+            return;
+        }
+    } else if (selectedPreset) {
+        snapshot = buildSnapshotFromPreset(getPresetSettings(selectedPreset), selectedPreset);
+    }
+    
+    if (!snapshot) {
+        toastr.error('Preset has no prompts to snapshot');
+        return;
+    }
+    
+    const name = await promptForName(snapshot.name);
+    if (!name) return;
+    
+    snapshot.name = name;
+    await loadSnapshots();
+    snapshot.parentId = getLatestSnapshotId(snapshot.presetName);
+    snapshot.contentHash = getContentHash(snapshot);
+    await saveSnapshot(snapshot);
+    await loadSnapshots();
+    refreshSnapshotsList();
+    toastr.success(`Snapshot created from preset: ${snapshot.presetName}`);
 }
 
-async function runABTest() {
-    if (!selectedSlotA) {
-        toastr.warning('Please select at least one snapshot for slot A');
+async function applyLiveState(state) {
+    const release = await acquirePromptState();
+    try {
+        if (!applyPromptState(state)) {
+            return false;
+        }
+        
+        syncGenerationSettingsUi(state.settings);
+        saveOwnSettings();
+        return true;
+    } finally {
+        release();
+    }
+}
+
+async function restoreSnapshot(snapshot) {
+    const before = captureCurrentPromptState();
+    if (!before) {
+        toastr.error('Prompt manager is not available');
         return;
     }
     
-    const stateB = selectedSlotB || captureCurrentPromptState();
-    if (!stateB) {
-        toastr.warning('Please select or use current config for slot B');
+    before.name = `[Before restore] ${before.presetName} ${new Date().toLocaleString()}`;
+    before.auto = true;
+    try {
+        before.id = await saveRevision(before);
+    } catch (error) {
+        console.error(`[${EXTENSION_NAME}] Failed to save pre-restore snapshot:`, error);
+        toastr.error('Failed to back up the current config, restore cancelled');
         return;
     }
     
-    const context = getContext();
-    if (!context.chat || context.chat.length === 0) {
-        toastr.warning('No chat history available');
+    if (!await applyLiveState(snapshot)) {
+        toastr.error('Failed to restore snapshot');
         return;
     }
     
-    const testMessage = document.getElementById('abtest-input')?.value?.trim() || '';
+    liveParentId = snapshot.id ?? null;
+    restoreUndoStack.push({ before, after: structuredClone(snapshot) });
+    if (restoreUndoStack.length > MAX_RESTORE_HISTORY) {
+        restoreUndoStack.shift();
+    }
+    restoreRedoStack = [];
     
-    const resultsSection = document.getElementById('abtest-results');
-    const resultA = document.getElementById('abtest-result-a');
-    const resultB = document.getElementById('abtest-result-b');
-    const runBtn = document.getElementById('abtest-run-test');
+    await loadSnapshots();
+    if (await pruneAutoSnapshots() > 0) {
+        await loadSnapshots();
+    }
+    refreshSnapshotsList();
+    updateRestoreButtons();
     
-    if (!resultsSection || !resultA || !resultB) return;
+    toastr.success(`Restored "${snapshot.name}". Click here to undo.`, '', {
+        timeOut: 8000,
+        onclick: () => undoRestore(),
+    });
+}
+
+async function undoRestore() {
+    const entry = restoreUndoStack.pop();
+    if (!entry) {
+        toastr.info('Nothing to undo');
+        return;
+    }
     
-    resultsSection.style.display = 'block';
-    resultA.innerHTML = '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i> Generating...</div>';
-    resultB.innerHTML = '<div class="abtest-loading"><i class="fa-solid fa-spinner fa-spin"></i> Generating...</div>';
+    if (!await applyLiveState(entry.before)) {
+        restoreUndoStack.push(entry);
+        toastr.error('Failed to undo restore');
+        return;
+    }
     
-    if (runBtn) {
-        runBtn.disabled = true;
-        runBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Running...';
+    liveParentId = entry.before.id ?? null;
+    restoreRedoStack.push(entry);
+    updateRestoreButtons();
+    toastr.info(`Undid restore of "${entry.after.name}"`);
+}
+
+async function redoRestore() {
+    const entry = restoreRedoStack.pop();
+    if (!entry) {
+        toastr.info('Nothing to redo');
+        return;
     }
     
-    try {
-        const responseA = await generateWithState(selectedSlotA, testMessage, resultA);
-        const responseB = await generateWithState(stateB, testMessage, resultB);
-        
-        resultA.innerHTML = `<div class="abtest-response">${escapeHtml(responseA) || '<em>No response</em>'}</div>`;
-        resultB.innerHTML = `<div class="abtest-response">${escapeHtml(responseB) || '<em>No response</em>'}</div>`;
-        
-    } catch (error) {
-        console.error(`[${EXTENSION_NAME}] A/B test error:`, error);
-        toastr.error('Failed to run A/B test');
-        resultA.innerHTML = '<div class="abtest-error">Error generating response</div>';
-        resultB.innerHTML = '<div class="abtest-error">Error generating response</div>';
-    } finally {
-        if (runBtn) {
-            runBtn.disabled = false;
-            runBtn.innerHTML = '<i class="fa-solid fa-play"></i> Run A/B Test';
-        }
+    if (!await applyLiveState(entry.after)) {
+        restoreRedoStack.push(entry);
+        toastr.error('Failed to redo restore');
+        return;
+    }
+    
+    liveParentId = entry.after.id ?? null;
+    restoreUndoStack.push(entry);
+    updateRestoreButtons();
+    toastr.info(`Restored "${entry.after.name}" again`);
+}
+
+function updateRestoreButtons() {
+    const undoBtn = document.getElementById('abtest-undo-restore');
+    const redoBtn = document.getElementById('abtest-redo-restore');
+    
+    if (undoBtn) {
+        undoBtn.disabled = restoreUndoStack.length === 0;
     }
+    if (redoBtn) {
+        redoBtn.disabled = restoreRedoStack.length === 0;
+    }
+}
+
+async function resolveSnapshotRef(ref) {
+    const value = String(ref ?? '').trim();
+    if (!value) return null;
+    
+    if (value.toLowerCase() === 'current') {
+        const state = captureCurrentPromptState();
+        return state ? { ...state, name: 'Current Config', isCurrent: true } : null;
+    }
+    
+    await loadSnapshots();
+    
+    const id = Number(value);
+    if (Number.isInteger(id)) {
+        const byId = currentSnapshots.find(s => s.id === id);
+        if (byId) return byId;
+    }
+    
+    return currentSnapshots.find(s => s.name.toLowerCase() === value.toLowerCase()) || null;
+}
+
+function formatDifferencesAsText(differences) {
+    if (differences.length === 0) {
+        return 'No differences found';
+    }
+    
+    return differences.map(diff => {
+        switch (diff.type) {
+            case 'removed':
+                return `- removed: ${diff.name}`;
+            case 'added':
+                return `+ added: ${diff.name}`;
+            case 'content_changed':
+                return `~ content changed: ${diff.name}`;
+            case 'enabled_changed':
+                return `* ${diff.name} [${getOrderScopeLabel(diff.charId)}]: ${diff.enabledA ? 'ON' : 'OFF'} -> ${diff.enabledB ? 'ON' : 'OFF'}`;
+            case 'moved':
+                return `^ moved: ${diff.name} [${getOrderScopeLabel(diff.charId)}]: #${diff.positionA} -> #${diff.positionB}`;
+            case 'role_changed':
+                return `@ role: ${diff.name}: ${diff.roleA} -> ${diff.roleB}`;
+            case 'injection_changed':
+                return `@ injection: ${diff.name}: ${diff.injectionA} -> ${diff.injectionB}`;
+            case 'setting_changed':
+                return `# ${diff.name}: ${formatSettingValue(diff.valueA)} -> ${formatSettingValue(diff.valueB)}`;
+            default:
+                return `? ${diff.type}: ${diff.name}`;
+        }
+    }).join('\n');
+}
+
+function registerSlashCommands() {
+    const snapshotRefArgument = (name, description, isRequired) => SlashCommandNamedArgument.fromProps({
+        name,
+        description,
+        typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+        isRequired,
+    });
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ab-snapshot',
+        callback: async (args) => {
+            const state = captureCurrentPromptState();
+            if (!state) {
+                toastr.error('Prompt manager is not available');
+                return '';
+            }
+            
+            if (args.name) {
+                state.name = String(args.name);
+            }
+            
+            let parentId;
+            if (args.parent !== undefined && String(args.parent).trim()) {
+                if (String(args.parent).trim().toLowerCase() === 'none') {
+                    parentId = null;
+                } else {
+                    const parent = await resolveSnapshotRef(args.parent);
+                    if (!parent || parent.isCurrent) {
+                        toastr.warning('Parent snapshot not found');
+                        return '';
+                    }
+                    parentId = parent.id;
+                }
+            }
+            
+            const id = await saveRevision(state, parentId);
+            await loadSnapshots();
+            refreshSnapshotsList();
+            return String(id);
+        },
+        namedArgumentList: [
+            SlashCommandNamedArgument.fromProps({
+                name: 'name',
+                description: 'snapshot name',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+            snapshotRefArgument('parent', 'parent snapshot id or name, or "none" (default: the last saved or restored snapshot)', false),
+        ],
+        returns: 'the new snapshot id',
+        helpString: 'Saves the current prompt configuration as an A/B Test snapshot.',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ab-list',
+        callback: async () => {
+            await loadSnapshots();
+            return currentSnapshots.map(s => `${s.id}: ${s.name} [${s.presetName || 'Unknown'}]`).join('\n');
+        },
+        returns: 'one snapshot per line as "id: name [preset]"',
+        helpString: 'Lists saved A/B Test snapshots.',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ab-diff',
+        callback: async (args) => {
+            const stateA = await resolveSnapshotRef(args.a);
+            const stateB = await resolveSnapshotRef(args.b || 'current');
+            if (!stateA || !stateB) {
+                toastr.warning('Snapshot not found');
+                return '';
+            }
+            return formatDifferencesAsText(getPromptDifferences(stateA, stateB));
+        },
+        namedArgumentList: [
+            snapshotRefArgument('a', 'snapshot id or name', true),
+            snapshotRefArgument('b', 'snapshot id or name, or "current" (default)', false),
+        ],
+        returns: 'the differences, one per line',
+        helpString: 'Compares two A/B Test snapshots and returns their differences as text.',
+    }));
+    
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name: 'ab-run',
+        callback: async (args, value) => {
+            const stateA = await resolveSnapshotRef(args.a);
+            const stateB = await resolveSnapshotRef(args.b || 'current');
+            if (!stateA || !stateB) {
+                toastr.warning('Snapshot not found');
+                return '';
+            }
+            
+            const context = getContext();
+            if (!context.chat || context.chat.length === 0) {
+                toastr.warning('No chat history available');
+                return '';
+            }
+            
+            const testMessage = String(args.message ?? value ?? '').trim();
+            const slots = [
+                { label: 'A', state: stateA, samples: [] },
+                { label: 'B', state: stateB, samples: [] },
+            ];
+            
+            const signal = beginRun();
+            if (!signal) return '';
+            
+            try {
+                await generateAllSlots(slots, testMessage, 1, () => null, signal);
+                await recordRun(slots, testMessage, false);
+            } finally {
+                endRun();
+            }
+            
+            return JSON.stringify(Object.fromEntries(slots.map(slot => {
+                const sample = slot.samples[0];
+                return [slot.label, sample.error ? `Error: ${sample.error}` : sample.text];
+            })));
+        },
+        namedArgumentList: [
+            snapshotRefArgument('a', 'snapshot id or name', true),
+            snapshotRefArgument('b', 'snapshot id or name, or "current" (default)', false),
+            SlashCommandNamedArgument.fromProps({
+                name: 'message',
+                description: 'test message (uses the current chat if empty)',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        unnamedArgumentList: [
+            SlashCommandArgument.fromProps({
+                description: 'test message, if not given as message=',
+                typeList: [ARGUMENT_TYPE.STRING],
+            }),
+        ],
+        returns: 'JSON object with the A and B responses',
+        helpString: 'Runs an A/B test between two snapshots and returns both responses as JSON, e.g. <code>/ab-run a=1 b=current message="Hi" | /echo</code>. Refuses to start while another test is running and can be cancelled with the Stop button.',
+    }));
 }
 
 function escapeHtml(text) {
@@ -1015,6 +5572,13 @@ async function init() {
     try {
         await initDB();
         addMenuButton();
+        registerSlashCommands();
+        registerAutoSnapshotListeners();
+        eventSource.on(event_types.CHAT_CHANGED, refreshOrderScope);
+        eventSource.on(event_types.CHAT_CHANGED, () => trimJournalChats().catch(error => {
+            console.warn(`[${EXTENSION_NAME}] Failed to trim recovery journal chats:`, error);
+        }));
+        await checkRecoveryJournal();
         
         console.log(`[${EXTENSION_NAME}] Extension loaded`);
     } catch (error) {